@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "SaleStatus" ADD VALUE 'CANCELLED';
+
+-- AlterTable
+ALTER TABLE "Sale" ADD COLUMN     "cancelledAt" TIMESTAMP(3);
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "OperationStatusChange" (
+    "id" TEXT NOT NULL,
+    "fromStatus" "OperationStatus",
+    "toStatus" "OperationStatus" NOT NULL,
+    "reason" TEXT,
+    "pendingBalance" DOUBLE PRECISION,
+    "forced" BOOLEAN NOT NULL DEFAULT false,
+    "operationId" TEXT NOT NULL,
+    "changedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OperationStatusChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OperationStatusChange_operationId_idx" ON "OperationStatusChange"("operationId");
+
+-- AddForeignKey
+ALTER TABLE "OperationStatusChange" ADD CONSTRAINT "OperationStatusChange_operationId_fkey" FOREIGN KEY ("operationId") REFERENCES "Operation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OperationStatusChange" ADD CONSTRAINT "OperationStatusChange_changedById_fkey" FOREIGN KEY ("changedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "Tombstone" (
+    "id" TEXT NOT NULL,
+    "entityType" TEXT NOT NULL,
+    "entityId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "deletedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Tombstone_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Tombstone_userId_deletedAt_idx" ON "Tombstone"("userId", "deletedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Tombstone_entityType_entityId_key" ON "Tombstone"("entityType", "entityId");
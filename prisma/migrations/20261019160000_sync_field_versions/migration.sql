@@ -0,0 +1,122 @@
+-- CreateEnum
+CREATE TYPE "SyncConflictStatus" AS ENUM ('OPEN', 'RESOLVED');
+
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "fieldVersions" JSONB,
+ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "Provider" ADD COLUMN     "fieldVersions" JSONB,
+ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "Client" ADD COLUMN     "fieldVersions" JSONB,
+ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "Operation" ADD COLUMN     "fieldVersions" JSONB,
+ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "MoneyMovement" ADD COLUMN     "fieldVersions" JSONB,
+ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "ProductMovement" ADD COLUMN     "fieldVersions" JSONB,
+ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "Sale" ADD COLUMN     "fieldVersions" JSONB,
+ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "Expense" ADD COLUMN     "fieldVersions" JSONB,
+ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "Income" ADD COLUMN     "fieldVersions" JSONB,
+ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- CreateTable
+CREATE TABLE "SyncConflict" (
+    "id" TEXT NOT NULL,
+    "entityType" TEXT NOT NULL,
+    "entityId" TEXT NOT NULL,
+    "field" TEXT NOT NULL,
+    "baseVersion" INTEGER NOT NULL,
+    "serverVersion" INTEGER NOT NULL,
+    "serverValue" JSONB,
+    "clientValue" JSONB,
+    "status" "SyncConflictStatus" NOT NULL DEFAULT 'OPEN',
+    "resolution" TEXT,
+    "resolvedValue" JSONB,
+    "resolvedAt" TIMESTAMP(3),
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SyncConflict_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SyncConflict_userId_status_idx" ON "SyncConflict"("userId", "status");
+
+-- CreateIndex
+CREATE INDEX "SyncConflict_entityType_entityId_idx" ON "SyncConflict"("entityType", "entityId");
+
+-- Bump the record version on every real change (REST or sync) and remember
+-- the version at which each field last changed, for field-level sync merges
+CREATE FUNCTION "sync_track_field_versions"() RETURNS TRIGGER AS $$
+DECLARE
+    old_row JSONB := to_jsonb(OLD);
+    new_row JSONB := to_jsonb(NEW);
+    versions JSONB := COALESCE(OLD."fieldVersions", '{}'::JSONB);
+    changed BOOLEAN := false;
+    col TEXT;
+BEGIN
+    FOR col IN SELECT jsonb_object_keys(new_row) LOOP
+        IF col NOT IN ('version', 'fieldVersions', 'createdAt', 'updatedAt')
+            AND new_row -> col IS DISTINCT FROM old_row -> col THEN
+            versions := jsonb_set(versions, ARRAY[col], to_jsonb(OLD."version" + 1));
+            changed := true;
+        END IF;
+    END LOOP;
+
+    IF changed THEN
+        NEW."version" := OLD."version" + 1;
+        NEW."fieldVersions" := versions;
+    ELSE
+        NEW."version" := OLD."version";
+        NEW."fieldVersions" := OLD."fieldVersions";
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Product_sync_version" BEFORE UPDATE ON "Product"
+    FOR EACH ROW EXECUTE FUNCTION "sync_track_field_versions"();
+
+CREATE TRIGGER "Provider_sync_version" BEFORE UPDATE ON "Provider"
+    FOR EACH ROW EXECUTE FUNCTION "sync_track_field_versions"();
+
+CREATE TRIGGER "Client_sync_version" BEFORE UPDATE ON "Client"
+    FOR EACH ROW EXECUTE FUNCTION "sync_track_field_versions"();
+
+CREATE TRIGGER "Operation_sync_version" BEFORE UPDATE ON "Operation"
+    FOR EACH ROW EXECUTE FUNCTION "sync_track_field_versions"();
+
+CREATE TRIGGER "MoneyMovement_sync_version" BEFORE UPDATE ON "MoneyMovement"
+    FOR EACH ROW EXECUTE FUNCTION "sync_track_field_versions"();
+
+CREATE TRIGGER "ProductMovement_sync_version" BEFORE UPDATE ON "ProductMovement"
+    FOR EACH ROW EXECUTE FUNCTION "sync_track_field_versions"();
+
+CREATE TRIGGER "Sale_sync_version" BEFORE UPDATE ON "Sale"
+    FOR EACH ROW EXECUTE FUNCTION "sync_track_field_versions"();
+
+CREATE TRIGGER "Expense_sync_version" BEFORE UPDATE ON "Expense"
+    FOR EACH ROW EXECUTE FUNCTION "sync_track_field_versions"();
+
+CREATE TRIGGER "Income_sync_version" BEFORE UPDATE ON "Income"
+    FOR EACH ROW EXECUTE FUNCTION "sync_track_field_versions"();
+
@@ -0,0 +1,37 @@
+-- AlterTable
+ALTER TABLE "SyncLog" ADD COLUMN     "batchId" TEXT;
+
+-- CreateTable
+CREATE TABLE "SyncBatch" (
+    "id" TEXT NOT NULL,
+    "batchId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "recordsCount" INTEGER NOT NULL DEFAULT 0,
+    "result" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SyncBatch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SyncMutation" (
+    "id" TEXT NOT NULL,
+    "mutationId" TEXT NOT NULL,
+    "batchId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "entityType" TEXT NOT NULL,
+    "entityId" TEXT NOT NULL,
+    "outcome" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SyncMutation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SyncBatch_userId_batchId_key" ON "SyncBatch"("userId", "batchId");
+
+-- CreateIndex
+CREATE INDEX "SyncMutation_batchId_idx" ON "SyncMutation"("batchId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SyncMutation_userId_mutationId_key" ON "SyncMutation"("userId", "mutationId");
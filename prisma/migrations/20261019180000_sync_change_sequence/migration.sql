@@ -0,0 +1,235 @@
+-- Global change sequence used as the sync pull cursor
+CREATE SEQUENCE "sync_change_seq" AS INTEGER;
+
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "syncSeq" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Provider" ADD COLUMN     "syncSeq" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Client" ADD COLUMN     "syncSeq" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Operation" ADD COLUMN     "syncSeq" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "MoneyMovement" ADD COLUMN     "syncSeq" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "ProductMovement" ADD COLUMN     "syncSeq" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Sale" ADD COLUMN     "syncSeq" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "SalePayment" ADD COLUMN     "syncSeq" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Expense" ADD COLUMN     "syncSeq" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Income" ADD COLUMN     "syncSeq" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Tombstone" ADD COLUMN     "syncSeq" INTEGER NOT NULL DEFAULT 0;
+
+-- DropIndex
+DROP INDEX "Tombstone_userId_deletedAt_idx";
+
+-- CreateIndex
+CREATE INDEX "Product_syncSeq_idx" ON "Product"("syncSeq");
+
+-- CreateIndex
+CREATE INDEX "Provider_syncSeq_idx" ON "Provider"("syncSeq");
+
+-- CreateIndex
+CREATE INDEX "Client_syncSeq_idx" ON "Client"("syncSeq");
+
+-- CreateIndex
+CREATE INDEX "Operation_syncSeq_idx" ON "Operation"("syncSeq");
+
+-- CreateIndex
+CREATE INDEX "MoneyMovement_syncSeq_idx" ON "MoneyMovement"("syncSeq");
+
+-- CreateIndex
+CREATE INDEX "ProductMovement_syncSeq_idx" ON "ProductMovement"("syncSeq");
+
+-- CreateIndex
+CREATE INDEX "Sale_syncSeq_idx" ON "Sale"("syncSeq");
+
+-- CreateIndex
+CREATE INDEX "SalePayment_syncSeq_idx" ON "SalePayment"("syncSeq");
+
+-- CreateIndex
+CREATE INDEX "Expense_syncSeq_idx" ON "Expense"("syncSeq");
+
+-- CreateIndex
+CREATE INDEX "Income_syncSeq_idx" ON "Income"("syncSeq");
+
+-- CreateIndex
+CREATE INDEX "Tombstone_userId_syncSeq_idx" ON "Tombstone"("userId", "syncSeq");
+
+-- syncSeq is bookkeeping, not a field change
+CREATE OR REPLACE FUNCTION "sync_track_field_versions"() RETURNS TRIGGER AS $$
+DECLARE
+    old_row JSONB := to_jsonb(OLD);
+    new_row JSONB := to_jsonb(NEW);
+    versions JSONB := COALESCE(OLD."fieldVersions", '{}'::JSONB);
+    changed BOOLEAN := false;
+    col TEXT;
+BEGIN
+    FOR col IN SELECT jsonb_object_keys(new_row) LOOP
+        IF col NOT IN ('version', 'fieldVersions', 'syncSeq', 'createdAt', 'updatedAt')
+            AND new_row -> col IS DISTINCT FROM old_row -> col THEN
+            versions := jsonb_set(versions, ARRAY[col], to_jsonb(OLD."version" + 1));
+            changed := true;
+        END IF;
+    END LOOP;
+
+    IF changed THEN
+        NEW."version" := OLD."version" + 1;
+        NEW."fieldVersions" := versions;
+    ELSE
+        NEW."version" := OLD."version";
+        NEW."fieldVersions" := OLD."fieldVersions";
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Backfill existing rows in creation order
+UPDATE "Product" AS t SET "syncSeq" = s.seq
+FROM (
+    SELECT "id", nextval('sync_change_seq') AS seq
+    FROM (SELECT "id" FROM "Product" ORDER BY "createdAt") AS o
+) AS s
+WHERE t."id" = s."id";
+
+UPDATE "Provider" AS t SET "syncSeq" = s.seq
+FROM (
+    SELECT "id", nextval('sync_change_seq') AS seq
+    FROM (SELECT "id" FROM "Provider" ORDER BY "createdAt") AS o
+) AS s
+WHERE t."id" = s."id";
+
+UPDATE "Client" AS t SET "syncSeq" = s.seq
+FROM (
+    SELECT "id", nextval('sync_change_seq') AS seq
+    FROM (SELECT "id" FROM "Client" ORDER BY "createdAt") AS o
+) AS s
+WHERE t."id" = s."id";
+
+UPDATE "Operation" AS t SET "syncSeq" = s.seq
+FROM (
+    SELECT "id", nextval('sync_change_seq') AS seq
+    FROM (SELECT "id" FROM "Operation" ORDER BY "createdAt") AS o
+) AS s
+WHERE t."id" = s."id";
+
+UPDATE "MoneyMovement" AS t SET "syncSeq" = s.seq
+FROM (
+    SELECT "id", nextval('sync_change_seq') AS seq
+    FROM (SELECT "id" FROM "MoneyMovement" ORDER BY "createdAt") AS o
+) AS s
+WHERE t."id" = s."id";
+
+UPDATE "ProductMovement" AS t SET "syncSeq" = s.seq
+FROM (
+    SELECT "id", nextval('sync_change_seq') AS seq
+    FROM (SELECT "id" FROM "ProductMovement" ORDER BY "createdAt") AS o
+) AS s
+WHERE t."id" = s."id";
+
+UPDATE "Sale" AS t SET "syncSeq" = s.seq
+FROM (
+    SELECT "id", nextval('sync_change_seq') AS seq
+    FROM (SELECT "id" FROM "Sale" ORDER BY "createdAt") AS o
+) AS s
+WHERE t."id" = s."id";
+
+UPDATE "SalePayment" AS t SET "syncSeq" = s.seq
+FROM (
+    SELECT "id", nextval('sync_change_seq') AS seq
+    FROM (SELECT "id" FROM "SalePayment" ORDER BY "createdAt") AS o
+) AS s
+WHERE t."id" = s."id";
+
+UPDATE "Expense" AS t SET "syncSeq" = s.seq
+FROM (
+    SELECT "id", nextval('sync_change_seq') AS seq
+    FROM (SELECT "id" FROM "Expense" ORDER BY "createdAt") AS o
+) AS s
+WHERE t."id" = s."id";
+
+UPDATE "Income" AS t SET "syncSeq" = s.seq
+FROM (
+    SELECT "id", nextval('sync_change_seq') AS seq
+    FROM (SELECT "id" FROM "Income" ORDER BY "createdAt") AS o
+) AS s
+WHERE t."id" = s."id";
+
+UPDATE "Tombstone" AS t SET "syncSeq" = s.seq
+FROM (
+    SELECT "id", nextval('sync_change_seq') AS seq
+    FROM (SELECT "id" FROM "Tombstone" ORDER BY "deletedAt") AS o
+) AS s
+WHERE t."id" = s."id";
+
+-- Give every insert/update the next change sequence. Writes of the same owner take an
+-- advisory lock until commit, so an owner's sequence numbers become visible in order and a
+-- pull cursor never skips a change committed late.
+-- Arguments: owner column, or parent table and foreign key for children
+CREATE FUNCTION "sync_assign_change_seq"() RETURNS TRIGGER AS $$
+DECLARE
+    owner_id TEXT;
+BEGIN
+    IF TG_NARGS = 1 THEN
+        owner_id := to_jsonb(NEW) ->> TG_ARGV[0];
+    ELSE
+        EXECUTE format('SELECT "userId" FROM %I WHERE "id" = $1', TG_ARGV[0])
+            INTO owner_id
+            USING to_jsonb(NEW) ->> TG_ARGV[1];
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(hashtext('sync:' || COALESCE(owner_id, '')));
+    NEW."syncSeq" := nextval('sync_change_seq');
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Product_sync_seq" BEFORE INSERT OR UPDATE ON "Product"
+    FOR EACH ROW EXECUTE FUNCTION "sync_assign_change_seq"('userId');
+
+CREATE TRIGGER "Provider_sync_seq" BEFORE INSERT OR UPDATE ON "Provider"
+    FOR EACH ROW EXECUTE FUNCTION "sync_assign_change_seq"('userId');
+
+CREATE TRIGGER "Client_sync_seq" BEFORE INSERT OR UPDATE ON "Client"
+    FOR EACH ROW EXECUTE FUNCTION "sync_assign_change_seq"('userId');
+
+CREATE TRIGGER "Operation_sync_seq" BEFORE INSERT OR UPDATE ON "Operation"
+    FOR EACH ROW EXECUTE FUNCTION "sync_assign_change_seq"('userId');
+
+CREATE TRIGGER "MoneyMovement_sync_seq" BEFORE INSERT OR UPDATE ON "MoneyMovement"
+    FOR EACH ROW EXECUTE FUNCTION "sync_assign_change_seq"('Operation', 'operationId');
+
+CREATE TRIGGER "ProductMovement_sync_seq" BEFORE INSERT OR UPDATE ON "ProductMovement"
+    FOR EACH ROW EXECUTE FUNCTION "sync_assign_change_seq"('Operation', 'operationId');
+
+CREATE TRIGGER "Sale_sync_seq" BEFORE INSERT OR UPDATE ON "Sale"
+    FOR EACH ROW EXECUTE FUNCTION "sync_assign_change_seq"('userId');
+
+CREATE TRIGGER "SalePayment_sync_seq" BEFORE INSERT OR UPDATE ON "SalePayment"
+    FOR EACH ROW EXECUTE FUNCTION "sync_assign_change_seq"('Sale', 'saleId');
+
+CREATE TRIGGER "Expense_sync_seq" BEFORE INSERT OR UPDATE ON "Expense"
+    FOR EACH ROW EXECUTE FUNCTION "sync_assign_change_seq"('userId');
+
+CREATE TRIGGER "Income_sync_seq" BEFORE INSERT OR UPDATE ON "Income"
+    FOR EACH ROW EXECUTE FUNCTION "sync_assign_change_seq"('userId');
+
+CREATE TRIGGER "Tombstone_sync_seq" BEFORE INSERT OR UPDATE ON "Tombstone"
+    FOR EACH ROW EXECUTE FUNCTION "sync_assign_change_seq"('userId');
+
@@ -0,0 +1,85 @@
+-- DropIndex
+DROP INDEX "Product_userId_name_key";
+
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "organizationId" TEXT;
+
+-- AlterTable
+ALTER TABLE "Provider" ADD COLUMN     "organizationId" TEXT;
+
+-- AlterTable
+ALTER TABLE "Client" ADD COLUMN     "organizationId" TEXT;
+
+-- AlterTable
+ALTER TABLE "Operation" ADD COLUMN     "organizationId" TEXT;
+
+-- AlterTable
+ALTER TABLE "Sale" ADD COLUMN     "organizationId" TEXT;
+
+-- AlterTable
+ALTER TABLE "Expense" ADD COLUMN     "organizationId" TEXT;
+
+-- AlterTable
+ALTER TABLE "Tombstone" ADD COLUMN     "organizationId" TEXT;
+
+-- AlterTable
+ALTER TABLE "SyncConflict" ADD COLUMN     "organizationId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Product_organizationId_idx" ON "Product"("organizationId");
+
+-- CreateIndex
+CREATE INDEX "Provider_organizationId_idx" ON "Provider"("organizationId");
+
+-- CreateIndex
+CREATE INDEX "Client_organizationId_idx" ON "Client"("organizationId");
+
+-- CreateIndex
+CREATE INDEX "Operation_organizationId_idx" ON "Operation"("organizationId");
+
+-- CreateIndex
+CREATE INDEX "Sale_organizationId_idx" ON "Sale"("organizationId");
+
+-- CreateIndex
+CREATE INDEX "Expense_organizationId_idx" ON "Expense"("organizationId");
+
+-- CreateIndex
+CREATE INDEX "Tombstone_organizationId_syncSeq_idx" ON "Tombstone"("organizationId", "syncSeq");
+
+-- AddForeignKey
+ALTER TABLE "Product" ADD CONSTRAINT "Product_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Provider" ADD CONSTRAINT "Provider_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Client" ADD CONSTRAINT "Client_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Operation" ADD CONSTRAINT "Operation_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Sale" ADD CONSTRAINT "Sale_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Expense" ADD CONSTRAINT "Expense_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Shared records are ordered per organization, personal ones per user
+CREATE OR REPLACE FUNCTION "sync_assign_change_seq"() RETURNS TRIGGER AS $$
+DECLARE
+    owner_row JSONB := to_jsonb(NEW);
+BEGIN
+    IF TG_NARGS = 2 THEN
+        EXECUTE format('SELECT to_jsonb(p) FROM %I AS p WHERE "id" = $1', TG_ARGV[0])
+            INTO owner_row
+            USING to_jsonb(NEW) ->> TG_ARGV[1];
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(hashtext(
+        'sync:' || COALESCE(owner_row ->> 'organizationId', owner_row ->> 'userId', '')
+    ));
+    NEW."syncSeq" := nextval('sync_change_seq');
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "Organization" ADD COLUMN "ownerId" TEXT;
+
+-- Backfill: the earliest admin owns the organization, or the earliest member when it has no admin
+UPDATE "Organization" o
+SET "ownerId" = (
+    SELECT m."userId"
+    FROM "OrganizationMember" m
+    WHERE m."organizationId" = o."id"
+    ORDER BY (m."role" = 'ADMIN') DESC, m."joinedAt" ASC
+    LIMIT 1
+);
+
+-- The owner is always an admin with the built-in permissions
+UPDATE "OrganizationMember" m
+SET "role" = 'ADMIN', "customRoleId" = NULL
+FROM "Organization" o
+WHERE o."ownerId" = m."userId" AND o."id" = m."organizationId";
+
+-- CreateIndex
+CREATE INDEX "Organization_ownerId_idx" ON "Organization"("ownerId");
+
+-- AddForeignKey
+ALTER TABLE "Organization" ADD CONSTRAINT "Organization_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
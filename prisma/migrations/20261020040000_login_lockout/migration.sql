@@ -0,0 +1,41 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "failedLoginCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "lastFailedLoginAt" TIMESTAMP(3),
+ADD COLUMN "lockedUntil" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "LoginFailure" (
+    "id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "ipAddress" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LoginFailure_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AccountUnlock" (
+    "id" TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AccountUnlock_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LoginFailure_ipAddress_createdAt_idx" ON "LoginFailure"("ipAddress", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "LoginFailure_email_idx" ON "LoginFailure"("email");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AccountUnlock_tokenHash_key" ON "AccountUnlock"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "AccountUnlock_userId_idx" ON "AccountUnlock"("userId");
+
+-- AddForeignKey
+ALTER TABLE "AccountUnlock" ADD CONSTRAINT "AccountUnlock_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
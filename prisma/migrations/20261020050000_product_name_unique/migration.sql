@@ -0,0 +1,31 @@
+-- Product names are unique per workspace, ignoring case. Prisma cannot describe partial
+-- expression indexes, so they only live here (see the Product model).
+
+-- Names differing only in case were allowed until now: number the extra ones
+WITH "ranked" AS (
+    SELECT "id", ROW_NUMBER() OVER (
+        PARTITION BY "userId", lower("name") ORDER BY "createdAt", "id"
+    ) AS "position"
+    FROM "Product"
+    WHERE "organizationId" IS NULL
+)
+UPDATE "Product" SET "name" = "Product"."name" || ' (' || "ranked"."position" || ')'
+FROM "ranked"
+WHERE "Product"."id" = "ranked"."id" AND "ranked"."position" > 1;
+
+WITH "ranked" AS (
+    SELECT "id", ROW_NUMBER() OVER (
+        PARTITION BY "organizationId", lower("name") ORDER BY "createdAt", "id"
+    ) AS "position"
+    FROM "Product"
+    WHERE "organizationId" IS NOT NULL
+)
+UPDATE "Product" SET "name" = "Product"."name" || ' (' || "ranked"."position" || ')'
+FROM "ranked"
+WHERE "Product"."id" = "ranked"."id" AND "ranked"."position" > 1;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Product_personal_name_key" ON "Product"("userId", lower("name")) WHERE "organizationId" IS NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Product_organizationId_name_key" ON "Product"("organizationId", lower("name")) WHERE "organizationId" IS NOT NULL;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Device" ADD COLUMN "sessionId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Device_sessionId_idx" ON "Device"("sessionId");
+
+-- AddForeignKey
+ALTER TABLE "Device" ADD CONSTRAINT "Device_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "Session"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -1,31 +1,12 @@
 import { PrismaClient } from '@prisma/client';
 import bcrypt from 'bcrypt';
+import { createDefaultProducts } from '../src/utils/productHelpers.js';
 
 const prisma = new PrismaClient();
 
 async function main() {
   console.log('🌱 Starting database seed...');
 
-  // Create default expense categories
-  const categories = [
-    { name: 'Transporte/Flete', nameEn: 'Transport/Freight', isDefault: true },
-    { name: 'Almacenamiento', nameEn: 'Storage', isDefault: true },
-    { name: 'Mano de obra', nameEn: 'Labor', isDefault: true },
-    { name: 'Empaque', nameEn: 'Packaging', isDefault: true },
-    { name: 'Combustible', nameEn: 'Fuel', isDefault: true },
-    { name: 'Mantenimiento', nameEn: 'Maintenance', isDefault: true },
-    { name: 'Otros', nameEn: 'Others', isDefault: true },
-  ];
-
-  console.log('📦 Creating default expense categories...');
-  for (const category of categories) {
-    await prisma.expenseCategory.upsert({
-      where: { id: category.name }, // Use name as temporary unique identifier
-      update: {},
-      create: category,
-    });
-  }
-
   // Create demo admin user
   const hashedPassword = await bcrypt.hash('admin123', 10);
   
@@ -36,6 +17,7 @@ async function main() {
     create: {
       email: 'admin@controldecompra.com',
       password: hashedPassword,
+      emailVerifiedAt: new Date(),
       name: 'Admin User',
       role: 'ADMIN',
       language: 'es',
@@ -43,6 +25,13 @@ async function main() {
     },
   });
 
+  // Create default products (Cacao, Café) for users that don't have them yet
+  console.log('📦 Creating default products...');
+  const users = await prisma.user.findMany({ select: { id: true } });
+  for (const user of users) {
+    await createDefaultProducts(prisma, { userId: user.id, organizationId: null });
+  }
+
   console.log('✅ Seed completed successfully!');
   console.log('\n📧 Demo credentials:');
   console.log('   Email: admin@controldecompra.com');
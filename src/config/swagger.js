@@ -6,7 +6,11 @@ const options = {
         info: {
             title: 'Control de Compra API',
             version: '1.0.0',
-            description: 'API documentation for Control de Compra - Offline-first purchase management system',
+            description: 'API documentation for Control de Compra - Offline-first purchase management system. '
+                + 'Business endpoints (providers, clients, products, inventory, operations, sales, expenses, '
+                + 'analytics and sync) work on the personal workspace, or on an organization the user belongs '
+                + 'to when the X-Organization-Id header is sent. Inside an organization each route requires a '
+                + 'permission (e.g. price.edit, operation.close, analytics.view) of the member\'s role.',
             contact: {
                 name: 'API Support',
                 email: 'support@controldecompra.com',
@@ -80,37 +84,38 @@ const options = {
                         },
                     },
                 },
-                Transaction: {
+                Operation: {
                     type: 'object',
                     properties: {
                         id: {
                             type: 'string',
                             format: 'uuid',
                         },
-                        contractNumber: {
-                            type: 'string',
-                            description: 'Unique contract number (YYYYMMDD-UUID format)',
-                        },
-                        description: {
+                        operationNumber: {
                             type: 'string',
+                            description: 'Unique operation number (YYYYMMDD-UUID format)',
                         },
                         status: {
                             type: 'string',
-                            enum: ['ACTIVE', 'CLOSED'],
+                            enum: ['OPEN', 'CLOSED'],
                         },
-                        quantity: {
+                        pricePerUnit: {
                             type: 'number',
                             format: 'float',
                         },
-                        unitPrice: {
+                        agreedQuantity: {
                             type: 'number',
                             format: 'float',
                         },
-                        totalAmount: {
-                            type: 'number',
-                            format: 'float',
+                        providerId: {
+                            type: 'string',
+                            format: 'uuid',
                         },
-                        transactionDate: {
+                        productId: {
+                            type: 'string',
+                            format: 'uuid',
+                        },
+                        operationDate: {
                             type: 'string',
                             format: 'date-time',
                         },
@@ -137,21 +142,45 @@ const options = {
                 description: 'Organization management endpoints',
             },
             {
-                name: 'Transactions',
-                description: 'Transaction CRUD and management endpoints',
+                name: 'Operations',
+                description: 'Purchase operations with money and product movements',
+            },
+            {
+                name: 'Sales',
+                description: 'Sales to clients and their payments',
             },
             {
                 name: 'Providers',
                 description: 'Provider management endpoints',
             },
+            {
+                name: 'Clients',
+                description: 'Client (buyer) management endpoints',
+            },
+            {
+                name: 'Products',
+                description: 'Product catalog endpoints (Cacao, Café...)',
+            },
+            {
+                name: 'Inventory',
+                description: 'Stock on hand and stock ledger endpoints',
+            },
             {
                 name: 'Expenses',
                 description: 'Expense tracking endpoints',
             },
+            {
+                name: 'Incomes',
+                description: 'Personal and business income tracking endpoints',
+            },
             {
                 name: 'Sync',
                 description: 'Offline-first synchronization endpoints',
             },
+            {
+                name: 'Devices',
+                description: 'Device registration and sync health endpoints',
+            },
             {
                 name: 'Analytics',
                 description: 'Analytics and reporting endpoints',
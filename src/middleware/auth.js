@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import { PrismaClient } from '@prisma/client';
+import { memberPermissions } from '../utils/permissions.js';
 
 const prisma = new PrismaClient();
 
@@ -17,24 +18,39 @@ export const authenticateToken = async (req, res, next) => {
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-        // Fetch user from database
-        const user = await prisma.user.findUnique({
-            where: { id: decoded.userId },
+        // Tokens issued before sessions existed cannot be revoked, so they are refused
+        if (!decoded.sessionId) {
+            return res.status(401).json({ error: 'Session expired, please log in again' });
+        }
+
+        // Fetch session and user from database
+        const session = await prisma.session.findUnique({
+            where: { id: decoded.sessionId },
             select: {
-                id: true,
-                email: true,
-                name: true,
-                role: true,
-                language: true,
-                theme: true,
+                revokedAt: true,
+                user: {
+                    select: {
+                        id: true,
+                        email: true,
+                        name: true,
+                        role: true,
+                        emailVerifiedAt: true,
+                        language: true,
+                        theme: true,
+                    },
+                },
             },
         });
 
-        if (!user) {
+        if (!session || session.user.id !== decoded.userId) {
             return res.status(401).json({ error: 'User not found' });
         }
 
-        req.user = user;
+        if (session.revokedAt) {
+            return res.status(401).json({ error: 'Session revoked' });
+        }
+
+        req.user = { ...session.user, sessionId: decoded.sessionId };
         next();
     } catch (error) {
         if (error.name === 'TokenExpiredError') {
@@ -57,36 +73,47 @@ export const requireAdmin = (req, res, next) => {
     next();
 };
 
+/**
+ * Middleware to require a verified email, for actions that reach other people
+ * (creating, joining and inviting to organizations)
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+    if (!req.user.emailVerifiedAt) {
+        return res.status(403).json({ error: 'Email verification required' });
+    }
+    next();
+};
+
 /**
  * Middleware to check if user has access to organization
+ * Only members have access; the membership is loaded into req.organizationMembership
+ * (with its custom role and the organization owner)
  */
 export const checkOrganizationAccess = async (req, res, next) => {
     try {
-        const organizationId = req.params.organizationId || req.body.organizationId;
+        const organizationId = req.params.organizationId || req.params.id || req.body.organizationId;
 
         if (!organizationId) {
             return next(); // No organization specified, continue
         }
 
-        const membership = await prisma.organizationMember.findFirst({
+        const membership = await prisma.organizationMember.findUnique({
             where: {
-                userId: req.user.id,
-                organizationId: organizationId,
+                userId_organizationId: {
+                    userId: req.user.id,
+                    organizationId,
+                },
+            },
+            include: {
+                customRole: true,
+                organization: {
+                    select: { ownerId: true },
+                },
             },
         });
 
         if (!membership) {
-            // Check if user is the creator
-            const organization = await prisma.organization.findFirst({
-                where: {
-                    id: organizationId,
-                    createdById: req.user.id,
-                },
-            });
-
-            if (!organization) {
-                return res.status(403).json({ error: 'Access denied to this organization' });
-            }
+            return res.status(403).json({ error: 'Access denied to this organization' });
         }
 
         req.organizationMembership = membership;
@@ -97,16 +124,28 @@ export const checkOrganizationAccess = async (req, res, next) => {
 };
 
 /**
- * Middleware to check if user is admin of organization
+ * Middleware to require a permission of the user's organization membership
+ * Must run after checkOrganizationAccess
  */
-export const requireOrganizationAdmin = async (req, res, next) => {
+export const requireOrganizationPermission = (permission) => (req, res, next) => {
     if (!req.organizationMembership) {
         return res.status(403).json({ error: 'Organization membership required' });
     }
 
-    if (req.organizationMembership.role !== 'ADMIN') {
-        return res.status(403).json({ error: 'Organization admin access required' });
+    if (!memberPermissions(req.organizationMembership).includes(permission)) {
+        return res.status(403).json({ error: `Permission required: ${permission}` });
     }
 
     next();
 };
+
+/**
+ * Middleware to check that the user owns the organization
+ * Must run after checkOrganizationAccess
+ */
+export const requireOrganizationOwner = (req, res, next) => {
+    if (req.organizationMembership?.organization.ownerId !== req.user.id) {
+        return res.status(403).json({ error: 'Organization owner access required' });
+    }
+    next();
+};
@@ -0,0 +1,49 @@
+import { PrismaClient } from '@prisma/client';
+import { hashToken } from '../utils/tokens.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Device tokens are only stored hashed
+ */
+export const hashDeviceToken = hashToken;
+
+/**
+ * Middleware to identify the registered device behind a sync request (X-Device-Token header)
+ * Must run after authenticateToken
+ */
+export const requireDevice = async (req, res, next) => {
+    try {
+        const token = req.headers['x-device-token'];
+
+        if (!token) {
+            return res.status(401).json({ error: 'Device token required' });
+        }
+
+        const device = await prisma.device.findUnique({
+            where: { tokenHash: hashDeviceToken(token) },
+        });
+
+        if (!device || device.userId !== req.user.id) {
+            return res.status(403).json({ error: 'Invalid device token' });
+        }
+
+        if (device.revokedAt) {
+            return res.status(403).json({ error: 'Device has been revoked' });
+        }
+
+        const appVersion = req.headers['x-app-version'];
+
+        req.device = await prisma.device.update({
+            where: { id: device.id },
+            data: {
+                lastSeenAt: new Date(),
+                ...(appVersion && { appVersion }),
+            },
+        });
+
+        next();
+    } catch (error) {
+        return res.status(500).json({ error: 'Failed to verify device' });
+    }
+};
@@ -0,0 +1,62 @@
+import { PrismaClient } from '@prisma/client';
+import { hasPermission, memberPermissions } from '../utils/permissions.js';
+import { personalScope } from '../utils/scope.js';
+
+const prisma = new PrismaClient();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Middleware to resolve the workspace of the request into req.scope
+ * X-Organization-Id header selects an organization the user belongs to; personal data otherwise
+ * Must run after authenticateToken
+ */
+export const resolveScope = async (req, res, next) => {
+    try {
+        const organizationId = req.headers['x-organization-id'];
+
+        if (!organizationId) {
+            req.scope = personalScope(req.user);
+            return next();
+        }
+
+        if (!UUID_PATTERN.test(organizationId)) {
+            return res.status(400).json({ error: 'Invalid organization ID' });
+        }
+
+        const membership = await prisma.organizationMember.findUnique({
+            where: {
+                userId_organizationId: {
+                    userId: req.user.id,
+                    organizationId,
+                },
+            },
+            include: { customRole: true },
+        });
+
+        if (!membership) {
+            return res.status(403).json({ error: 'Access denied to this organization' });
+        }
+
+        req.scope = {
+            userId: req.user.id,
+            organizationId,
+            role: membership.role,
+            permissions: memberPermissions(membership),
+        };
+        next();
+    } catch (error) {
+        return res.status(500).json({ error: 'Failed to resolve organization' });
+    }
+};
+
+/**
+ * Middleware to require a permission in the scope of the request
+ * Must run after resolveScope
+ */
+export const requirePermission = (permission) => (req, res, next) => {
+    if (!hasPermission(req.scope, permission)) {
+        return res.status(403).json({ error: `Permission required: ${permission}` });
+    }
+    next();
+};
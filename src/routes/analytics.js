@@ -3,10 +3,24 @@ import { PrismaClient } from '@prisma/client';
 import { query } from 'express-validator';
 import { validate } from '../middleware/validation.js';
 import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { resolveScope, requirePermission } from '../middleware/scope.js';
+import { calculateSettlement, roundTo } from '../utils/transactionHelpers.js';
+import { loadCostHistory, calculateWeightedAverageCost } from '../utils/costHelpers.js';
+import { scopeWhere } from '../utils/scope.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+/**
+ * Build a CSV line, quoting values that contain separators or quotes
+ */
+const toCsvRow = (values) => values
+    .map((value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(',') + '\n';
+
 /**
  * @swagger
  * /api/analytics/dashboard:
@@ -15,121 +29,147 @@ const prisma = new PrismaClient();
  *     tags: [Analytics]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: organizationId
- *         schema:
- *           type: string
  *     responses:
  *       200:
  *         description: Dashboard metrics
  */
-router.get('/dashboard', authenticateToken, async (req, res) => {
+router.get('/dashboard', authenticateToken, resolveScope, requirePermission('analytics.view'), async (req, res) => {
     try {
-        const { organizationId } = req.query;
-
-        const where = organizationId
-            ? { organizationId }
-            : { userId: req.user.id };
+        const where = scopeWhere(req.scope);
 
         // Get metrics
         const [
-            totalTransactions,
-            activeTransactions,
-            closedTransactions,
+            totalOperations,
+            openOperations,
+            closedOperations,
             totalProviders,
             totalExpenses,
-            transactions,
+            operations,
+            incomesByScope,
+            expensesByScope,
         ] = await Promise.all([
-            prisma.transaction.count({ where }),
-            prisma.transaction.count({ where: { ...where, status: 'ACTIVE' } }),
-            prisma.transaction.count({ where: { ...where, status: 'CLOSED' } }),
-            prisma.provider.count({
-                where: organizationId
-                    ? { organizationId }
-                    : { userId: req.user.id },
-            }),
+            prisma.operation.count({ where }),
+            prisma.operation.count({ where: { ...where, status: 'OPEN' } }),
+            prisma.operation.count({ where: { ...where, status: 'CLOSED' } }),
+            prisma.provider.count({ where }),
             prisma.expense.aggregate({
-                where: {
-                    OR: [
-                        { transaction: where },
-                        { transactionId: null },
-                    ],
-                },
+                where,
                 _sum: { amount: true },
             }),
-            prisma.transaction.findMany({
+            prisma.operation.findMany({
                 where,
                 include: {
-                    advances: true,
-                    deliveries: true,
+                    moneyMovements: true,
+                    productMovements: true,
                     provider: true,
                 },
             }),
+            // Incomes are personal, organizations only have expenses
+            req.scope.organizationId ? [] : prisma.income.groupBy({
+                by: ['scope'],
+                where: { userId: req.user.id },
+                _sum: { amount: true },
+            }),
+            prisma.expense.groupBy({
+                by: ['scope'],
+                where,
+                _sum: { amount: true },
+            }),
         ]);
 
         // Calculate aggregated data
-        let totalVolume = 0;
-        let totalAmount = 0;
-        let totalAdvances = 0;
-        let totalDelivered = 0;
+        let totalAgreed = 0;
+        let totalReceived = 0;
+        let pendingVolume = 0;
+        let totalAmountDue = 0;
+        let totalPaid = 0;
+        let owedToProviders = 0;
+        let owedByProviders = 0;
         const providerStats = {};
 
-        transactions.forEach((t) => {
-            totalVolume += t.quantity || 0;
-            totalAmount += t.totalAmount || 0;
-
-            const advances = t.advances.reduce((sum, a) => sum + a.amount, 0);
-            const delivered = t.deliveries.reduce((sum, d) => sum + d.quantity, 0);
+        operations.forEach((operation) => {
+            const settlement = calculateSettlement(
+                operation,
+                operation.moneyMovements,
+                operation.productMovements
+            );
 
-            totalAdvances += advances;
-            totalDelivered += delivered;
+            totalAgreed += settlement.agreedQuantity || 0;
+            totalReceived += settlement.netQuantity;
+            pendingVolume += settlement.pendingQuantity || 0;
+            totalAmountDue += settlement.amountDue;
+            totalPaid += settlement.totalPaid;
+            owedToProviders += settlement.owedToProvider;
+            owedByProviders += settlement.owedByProvider;
 
             // Provider stats
-            if (t.provider) {
-                if (!providerStats[t.provider.id]) {
-                    providerStats[t.provider.id] = {
-                        id: t.provider.id,
-                        name: t.provider.name,
-                        transactionCount: 0,
+            if (operation.provider) {
+                if (!providerStats[operation.provider.id]) {
+                    providerStats[operation.provider.id] = {
+                        id: operation.provider.id,
+                        name: operation.provider.name,
+                        operationCount: 0,
                         totalVolume: 0,
                         totalAmount: 0,
+                        balance: 0,
                     };
                 }
-                providerStats[t.provider.id].transactionCount++;
-                providerStats[t.provider.id].totalVolume += t.quantity || 0;
-                providerStats[t.provider.id].totalAmount += t.totalAmount || 0;
+                const stats = providerStats[operation.provider.id];
+                stats.operationCount++;
+                stats.totalVolume += settlement.netQuantity;
+                stats.totalAmount += settlement.amountDue;
+                stats.balance += settlement.balance;
             }
         });
 
-        const averagePrice = totalVolume > 0 ? totalAmount / totalVolume : 0;
-        const pendingBalance = totalAmount - totalAdvances;
-        const pendingVolume = totalVolume - totalDelivered;
+        const averagePrice = totalReceived > 0 ? totalAmountDue / totalReceived : 0;
 
-        // Top providers
+        // Top providers, rounded like the settlements they add up
         const topProviders = Object.values(providerStats)
             .sort((a, b) => b.totalVolume - a.totalVolume)
-            .slice(0, 5);
+            .slice(0, 5)
+            .map((stats) => ({
+                ...stats,
+                totalVolume: roundTo(stats.totalVolume, 3),
+                totalAmount: roundTo(stats.totalAmount),
+                balance: roundTo(stats.balance),
+            }));
+
+        // Cash flow per scope (personal next to business)
+        const sumForScope = (groups, scope) => groups.find((g) => g.scope === scope)?._sum.amount || 0;
+        const cashFlow = {};
+        ['BUSINESS', 'PERSONAL'].forEach((scope) => {
+            const income = sumForScope(incomesByScope, scope);
+            const expenses = sumForScope(expensesByScope, scope);
+            cashFlow[scope.toLowerCase()] = {
+                income: roundTo(income),
+                expenses: roundTo(expenses),
+                net: roundTo(income - expenses),
+            };
+        });
 
         res.json({
             summary: {
-                totalTransactions,
-                activeTransactions,
-                closedTransactions,
+                totalOperations,
+                openOperations,
+                closedOperations,
                 totalProviders,
-                totalExpenses: totalExpenses._sum.amount || 0,
+                totalExpenses: roundTo(totalExpenses._sum.amount || 0),
             },
+            // Sums of rounded settlements, rounded the same way (as calculateSettlement does)
             financial: {
-                totalAmount,
-                totalAdvances,
-                pendingBalance,
-                averagePrice: Math.round(averagePrice * 100) / 100,
+                totalAmountDue: roundTo(totalAmountDue),
+                totalPaid: roundTo(totalPaid),
+                owedToProviders: roundTo(owedToProviders),
+                owedByProviders: roundTo(owedByProviders),
+                averagePrice: roundTo(averagePrice),
             },
             volume: {
-                totalVolume,
-                totalDelivered,
-                pendingVolume,
+                totalAgreed: roundTo(totalAgreed, 3),
+                totalReceived: roundTo(totalReceived, 3),
+                pendingVolume: roundTo(pendingVolume, 3),
             },
+            cashFlow,
             topProviders,
         });
     } catch (error) {
@@ -138,6 +178,134 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * Add a sale and its cost to a margin bucket
+ */
+const addToMarginBucket = (bucket, sale, cost) => {
+    bucket.quantity += sale.quantity;
+    bucket.revenue += sale.totalAmount;
+    if (cost?.costOfGoodsSold !== null && cost?.costOfGoodsSold !== undefined) {
+        bucket.costOfGoodsSold += cost.costOfGoodsSold;
+    } else {
+        bucket.uncostedSales++;
+    }
+};
+
+const emptyMarginBucket = () => ({
+    quantity: 0,
+    revenue: 0,
+    costOfGoodsSold: 0,
+    uncostedSales: 0,
+});
+
+const finishMarginBucket = (bucket) => {
+    const grossMargin = bucket.revenue - bucket.costOfGoodsSold;
+    return {
+        quantity: roundTo(bucket.quantity, 3),
+        revenue: roundTo(bucket.revenue),
+        costOfGoodsSold: roundTo(bucket.costOfGoodsSold),
+        grossMargin: roundTo(grossMargin),
+        grossMarginPercent: bucket.revenue > 0 ? roundTo((grossMargin / bucket.revenue) * 100) : null,
+        uncostedSales: bucket.uncostedSales,
+    };
+};
+
+/**
+ * @swagger
+ * /api/analytics/margins:
+ *   get:
+ *     summary: Get gross margins per product and period
+ *     description: Cost of goods sold uses the moving weighted average cost of each product (purchase price plus linked business expenses).
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Margins per product with a monthly breakdown
+ */
+router.get(
+    '/margins',
+    authenticateToken,
+    resolveScope,
+    requirePermission('analytics.view'),
+    [
+        query('productId').optional().isUUID(),
+        query('startDate').optional().isISO8601(),
+        query('endDate').optional().isISO8601(),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { productId, startDate, endDate } = req.query;
+            const from = startDate ? new Date(startDate) : null;
+            const to = endDate ? new Date(endDate) : null;
+
+            const products = await prisma.product.findMany({
+                where: {
+                    ...scopeWhere(req.scope),
+                    ...(productId && { id: productId }),
+                },
+                orderBy: { name: 'asc' },
+            });
+
+            const margins = await Promise.all(products.map(async (product) => {
+                // Costs need the full history; only the period's sales are reported
+                const history = await loadCostHistory(prisma, req.scope, product.id);
+                const costs = calculateWeightedAverageCost(history);
+
+                const totals = emptyMarginBucket();
+                const periods = {};
+
+                history.sales
+                    .filter((sale) => sale.status !== 'CANCELLED')
+                    .filter((sale) => (!from || sale.saleDate >= from) && (!to || sale.saleDate <= to))
+                    .forEach((sale) => {
+                        const period = sale.saleDate.toISOString().substring(0, 7);
+                        periods[period] = periods[period] || emptyMarginBucket();
+
+                        addToMarginBucket(periods[period], sale, costs.sales[sale.id]);
+                        addToMarginBucket(totals, sale, costs.sales[sale.id]);
+                    });
+
+                return {
+                    product: {
+                        id: product.id,
+                        name: product.name,
+                        unit: product.unit,
+                    },
+                    averageCost: costs.averageCost,
+                    stock: costs.stock,
+                    inventoryValue: costs.inventoryValue,
+                    totals: finishMarginBucket(totals),
+                    periods: Object.keys(periods)
+                        .sort()
+                        .map((period) => ({ period, ...finishMarginBucket(periods[period]) })),
+                };
+            }));
+
+            res.json({ margins });
+        } catch (error) {
+            console.error('Margins error:', error);
+            res.status(500).json({ error: 'Failed to fetch margins' });
+        }
+    }
+);
+
 /**
  * @swagger
  * /api/analytics/export:
@@ -151,7 +319,7 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
  *         name: type
  *         schema:
  *           type: string
- *           enum: [transactions, providers, expenses]
+ *           enum: [operations, providers, expenses]
  *       - in: query
  *         name: startDate
  *         schema:
@@ -170,9 +338,9 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
  *             schema:
  *               type: string
  */
-router.get('/export', authenticateToken, async (req, res) => {
+router.get('/export', authenticateToken, resolveScope, requirePermission('analytics.view'), async (req, res) => {
     try {
-        const { type = 'transactions', startDate, endDate } = req.query;
+        const { type = 'operations', startDate, endDate } = req.query;
 
         const dateFilter = {};
         if (startDate) dateFilter.gte = new Date(startDate);
@@ -180,68 +348,87 @@ router.get('/export', authenticateToken, async (req, res) => {
 
         let csvData = '';
 
-        if (type === 'transactions') {
-            const transactions = await prisma.transaction.findMany({
+        if (type === 'operations') {
+            const operations = await prisma.operation.findMany({
                 where: {
-                    userId: req.user.id,
+                    ...scopeWhere(req.scope),
                     ...(Object.keys(dateFilter).length > 0 && {
-                        transactionDate: dateFilter,
+                        operationDate: dateFilter,
                     }),
                 },
                 include: {
                     provider: true,
-                    productService: true,
-                    advances: true,
-                    deliveries: true,
+                    product: true,
+                    moneyMovements: true,
+                    productMovements: true,
                     expenses: true,
                 },
+                orderBy: {
+                    operationDate: 'asc',
+                },
             });
 
             // CSV Header
-            csvData = 'Contract Number,Date,Provider,Product/Service,Quantity,Unit Price,Total Amount,Advances,Deliveries,Expenses,Status\n';
+            csvData = 'Operation Number,Date,Provider,Product,Price Per Unit,Agreed Quantity,Net Received,Losses,Amount Due,Paid,Balance,Expenses,Cost Per Unit,Status\n';
 
             // CSV Rows
-            transactions.forEach((t) => {
-                const totalAdvances = t.advances.reduce((sum, a) => sum + a.amount, 0);
-                const totalDeliveries = t.deliveries.reduce((sum, d) => sum + d.quantity, 0);
-                const totalExpenses = t.expenses.reduce((sum, e) => sum + e.amount, 0);
+            operations.forEach((o) => {
+                const settlement = calculateSettlement(o, o.moneyMovements, o.productMovements, o.expenses);
 
-                csvData += `${t.contractNumber},${t.transactionDate.toISOString().split('T')[0]},${t.provider?.name || ''},${t.productService?.name || ''},${t.quantity || 0},${t.unitPrice || 0},${t.totalAmount || 0},${totalAdvances},${totalDeliveries},${totalExpenses},${t.status}\n`;
+                csvData += toCsvRow([
+                    o.operationNumber,
+                    o.operationDate.toISOString().split('T')[0],
+                    o.provider?.name,
+                    o.product?.name,
+                    o.pricePerUnit,
+                    settlement.agreedQuantity ?? '',
+                    settlement.netQuantity,
+                    settlement.lostQuantity,
+                    settlement.amountDue,
+                    settlement.totalPaid,
+                    settlement.balance,
+                    settlement.totalExpenses,
+                    settlement.costPerUnit ?? '',
+                    o.status,
+                ]);
             });
         } else if (type === 'providers') {
             const providers = await prisma.provider.findMany({
-                where: { userId: req.user.id },
+                where: scopeWhere(req.scope),
                 include: {
                     _count: {
-                        select: { transactions: true },
+                        select: { operations: true },
                     },
                 },
             });
 
-            csvData = 'Name,Email,Phone,Address,Transaction Count\n';
+            csvData = 'Name,Phone,Address,Operation Count\n';
             providers.forEach((p) => {
-                csvData += `${p.name},${p.email || ''},${p.phone || ''},${p.address || ''},${p._count.transactions}\n`;
+                csvData += toCsvRow([p.name, p.phone, p.address, p._count.operations]);
             });
         } else if (type === 'expenses') {
             const expenses = await prisma.expense.findMany({
                 where: {
-                    OR: [
-                        { transaction: { userId: req.user.id } },
-                        { transactionId: null },
-                    ],
+                    ...scopeWhere(req.scope),
                     ...(Object.keys(dateFilter).length > 0 && {
                         expenseDate: dateFilter,
                     }),
                 },
                 include: {
-                    category: true,
-                    transaction: true,
+                    operation: true,
                 },
             });
 
-            csvData = 'Date,Category,Amount,Description,Transaction\n';
+            csvData = 'Date,Type,Scope,Amount,Description,Operation\n';
             expenses.forEach((e) => {
-                csvData += `${e.expenseDate.toISOString().split('T')[0]},${e.category.name},${e.amount},${e.description || ''},${e.transaction?.contractNumber || 'General'}\n`;
+                csvData += toCsvRow([
+                    e.expenseDate.toISOString().split('T')[0],
+                    e.expenseType,
+                    e.scope,
+                    e.amount,
+                    e.description,
+                    e.operation?.operationNumber || 'General',
+                ]);
             });
         }
 
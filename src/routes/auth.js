@@ -1,15 +1,166 @@
 import express from 'express';
 import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
 import { PrismaClient } from '@prisma/client';
-import { body } from 'express-validator';
+import { body, param } from 'express-validator';
 import { validate } from '../middleware/validation.js';
-import crypto from 'crypto';
-import { sendPasswordResetEmail } from '../utils/emailService.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import {
+    sendPasswordResetEmail,
+    sendPasswordChangedEmail,
+    sendEmailChangeEmail,
+    sendWelcomeEmail,
+    sendVerificationEmail,
+    sendAccountLockedEmail,
+} from '../utils/emailService.js';
+import { createDefaultProducts } from '../utils/productHelpers.js';
+import { createSession, revokeSession, revokeUserSessions, rotateRefreshToken } from '../utils/sessions.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import {
+    deleteUserAccount,
+    findOwnedOrganizations,
+    findOrganizationsWithoutHeir,
+    ACCOUNT_DELETE_TIMEOUT,
+} from '../utils/accountDeletion.js';
+import { loginLimits, checkLoginAttempt, registerLoginFailure } from '../utils/loginThrottle.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const PASSWORD_RESET_EXPIRY_MS = 60 * 60 * 1000; // 1 hour, as stated in the email
+
+// At most PASSWORD_RESET_LIMIT reset emails per account every PASSWORD_RESET_WINDOW_MS
+const PASSWORD_RESET_LIMIT = 3;
+const PASSWORD_RESET_WINDOW_MS = 60 * 60 * 1000;
+
+const EMAIL_CHANGE_EXPIRY_MS = 24 * 60 * 60 * 1000; // 24 hours, as stated in the email
+
+const EMAIL_VERIFICATION_EXPIRY_MS = 48 * 60 * 60 * 1000; // 48 hours, as stated in the email
+
+// At most EMAIL_VERIFICATION_LIMIT verification emails per account every EMAIL_VERIFICATION_WINDOW_MS
+const EMAIL_VERIFICATION_LIMIT = 3;
+const EMAIL_VERIFICATION_WINDOW_MS = 60 * 60 * 1000;
+
+const ACCOUNT_UNLOCK_EXPIRY_MS = 60 * 60 * 1000; // 1 hour
+
+// Login lockout fields back to normal (successful login, unlock link, password reset)
+const loginUnlocked = {
+    failedLoginCount: 0,
+    lastFailedLoginAt: null,
+    lockedUntil: null,
+};
+
+const LANGUAGES = ['es', 'en'];
+const THEMES = ['light', 'dark'];
+
+// Fields of the user's own profile (never the password)
+const profileSelect = {
+    id: true,
+    email: true,
+    name: true,
+    phone: true,
+    role: true,
+    emailVerifiedAt: true,
+    language: true,
+    theme: true,
+    pushToken: true,
+    createdAt: true,
+    updatedAt: true,
+};
+
+/**
+ * New single-use verification token for the user's current email; only its hash is stored
+ */
+const createEmailVerification = async (userId) => {
+    const verifyToken = generateToken();
+
+    await prisma.emailVerification.create({
+        data: {
+            tokenHash: hashToken(verifyToken),
+            expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_EXPIRY_MS),
+            userId,
+        },
+    });
+
+    return verifyToken;
+};
+
+/**
+ * Count a login attempt as a failure before the password is checked, so parallel guesses
+ * see each other: the IP failure is stored before the IP's failures are counted, and the
+ * account is checked and updated under a row lock. Returns the decision with the account
+ * as it was before the attempt, whether this failure locks it and the stored IP failure
+ * (taken back when the attempt is refused).
+ */
+const reserveLoginAttempt = async ({ email, ipAddress, now, limits }) => {
+    const failure = await prisma.loginFailure.create({
+        data: { email, ipAddress },
+    });
+
+    // The latest failures are enough to apply the IP limit
+    const ipFailures = await prisma.loginFailure.findMany({
+        where: {
+            id: { not: failure.id },
+            ipAddress,
+            createdAt: { gt: new Date(now - limits.windowMs) },
+        },
+        orderBy: { createdAt: 'desc' },
+        take: Math.max(limits.maxIpFailures, 1),
+        select: { createdAt: true },
+    });
+
+    const reservation = await prisma.$transaction(async (tx) => {
+        const [row] = await tx.$queryRaw`SELECT id FROM "User" WHERE email = ${email} FOR UPDATE`;
+        const user = row ? await tx.user.findUnique({ where: { id: row.id } }) : null;
+
+        const attempt = checkLoginAttempt({
+            account: user,
+            ipFailures: ipFailures.map((ipFailure) => ipFailure.createdAt).reverse(),
+            now,
+        }, limits);
+
+        if (!attempt.allowed || !user) {
+            return { attempt, user, locks: false };
+        }
+
+        const { locked: locks, ...lockState } = registerLoginFailure(user, now, limits);
+
+        await tx.user.update({
+            where: { id: user.id },
+            data: lockState,
+        });
+
+        return { attempt, user, locks };
+    });
+
+    if (!reservation.attempt.allowed) {
+        await prisma.loginFailure.deleteMany({
+            where: { id: failure.id },
+        });
+    }
+
+    return { ...reservation, failureId: failure.id };
+};
+
+/**
+ * Email the owner of an account locked by a failed login a link to unlock it
+ */
+const sendUnlockLink = async (user, now, limits) => {
+    const unlockToken = generateToken();
+
+    await prisma.accountUnlock.create({
+        data: {
+            tokenHash: hashToken(unlockToken),
+            expiresAt: new Date(now + ACCOUNT_UNLOCK_EXPIRY_MS),
+            userId: user.id,
+        },
+    });
+
+    const lockoutMinutes = Math.round(limits.lockoutMs / 60000);
+    sendAccountLockedEmail(user.email, user.name, unlockToken, lockoutMinutes, user.language).catch(() => {
+        // Already logged by the email service, the lockout ends by itself
+    });
+};
+
 /**
  * @swagger
  * /api/auth/register:
@@ -39,9 +190,13 @@ const prisma = new PrismaClient();
  *               language:
  *                 type: string
  *                 enum: [es, en]
+ *     description: |
+ *       Sends a welcome email with a link to verify the address, valid for 48 hours.
+ *       Until verified the user can work in their personal workspace but cannot create,
+ *       join or invite to organizations.
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered successfully (returns an access token and a refresh token)
  *       400:
  *         description: Validation error
  *       409:
@@ -54,7 +209,7 @@ router.post(
         body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
         body('name').optional().trim(),
         body('phone').optional().trim(),
-        body('language').optional().isIn(['es', 'en']),
+        body('language').optional().isIn(LANGUAGES),
     ],
     validate,
     async (req, res) => {
@@ -88,23 +243,29 @@ router.post(
                     email: true,
                     name: true,
                     role: true,
+                    emailVerifiedAt: true,
                     language: true,
                     theme: true,
                     createdAt: true,
                 },
             });
 
-            // Generate JWT
-            const token = jwt.sign(
-                { userId: user.id, email: user.email, role: user.role },
-                process.env.JWT_SECRET,
-                { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-            );
+            // The account works right away, the welcome email carries the verification link
+            const verifyToken = await createEmailVerification(user.id);
+            sendWelcomeEmail(user.email, user.name, verifyToken, user.language).catch(() => {
+                // Already logged by the email service, a new link can be requested
+            });
+
+            // Start the catalog with the default products (Cacao, Café)
+            await createDefaultProducts(prisma, { userId: user.id, organizationId: null });
+
+            const { token, refreshToken } = await createSession(prisma, user, req);
 
             res.status(201).json({
                 message: 'User registered successfully',
                 user,
                 token,
+                refreshToken,
             });
         } catch (error) {
             console.error('Registration error:', error);
@@ -134,11 +295,17 @@ router.post(
  *                 format: email
  *               password:
  *                 type: string
+ *     description: |
+ *       Failed attempts are tracked per account and per IP (limits in the LOGIN_* variables).
+ *       Each failure makes the next attempt wait longer; too many failures lock the account
+ *       for a while (its owner gets an email with an unlock link) or refuse the IP.
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful (returns an access token and a refresh token)
  *       401:
  *         description: Invalid credentials
+ *       429:
+ *         description: Too many failed attempts, retry after the seconds in the Retry-After header
  */
 router.post(
     '/login',
@@ -150,37 +317,62 @@ router.post(
     async (req, res) => {
         try {
             const { email, password } = req.body;
+            const limits = loginLimits();
+            const now = Date.now();
 
-            // Find user
-            const user = await prisma.user.findUnique({
-                where: { email },
+            const { attempt, user, locks, failureId } = await reserveLoginAttempt({
+                email,
+                ipAddress: req.ip,
+                now,
+                limits,
             });
 
-            if (!user) {
-                return res.status(401).json({ error: 'Invalid credentials' });
+            if (!attempt.allowed) {
+                const retryAfter = Math.ceil(attempt.retryAfterMs / 1000);
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    error: attempt.reason === 'account_locked'
+                        ? 'Account temporarily locked after too many failed attempts'
+                        : 'Too many failed attempts, try again later',
+                    retryAfter,
+                });
             }
 
             // Verify password
-            const validPassword = await bcrypt.compare(password, user.password);
+            const validPassword = user && await bcrypt.compare(password, user.password);
 
             if (!validPassword) {
+                if (locks) {
+                    await sendUnlockLink(user, now, limits);
+                }
                 return res.status(401).json({ error: 'Invalid credentials' });
             }
 
-            // Generate JWT
-            const token = jwt.sign(
-                { userId: user.id, email: user.email, role: user.role },
-                process.env.JWT_SECRET,
-                { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-            );
+            // Right password: take back the failure counted for this attempt
+            await prisma.$transaction([
+                prisma.loginFailure.deleteMany({ where: { id: failureId } }),
+                prisma.user.update({
+                    where: { id: user.id },
+                    data: loginUnlocked,
+                }),
+            ]);
+
+            const { token, refreshToken } = await createSession(prisma, user, req);
 
-            // Return user without password
-            const { password: _, ...userWithoutPassword } = user;
+            // Return user without password nor lockout state
+            const {
+                password: _,
+                failedLoginCount,
+                lastFailedLoginAt,
+                lockedUntil,
+                ...userWithoutPassword
+            } = user;
 
             res.json({
                 message: 'Login successful',
                 user: userWithoutPassword,
                 token,
+                refreshToken,
             });
         } catch (error) {
             console.error('Login error:', error);
@@ -191,10 +383,109 @@ router.post(
 
 /**
  * @swagger
- * /api/auth/forgot-password:
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the profile of the logged in user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User profile
+ */
+router.get('/me', authenticateToken, async (req, res) => {
+    try {
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: profileSelect,
+        });
+
+        res.json({ user });
+    } catch (error) {
+        console.error('Get profile error:', error);
+        res.status(500).json({ error: 'Failed to fetch profile' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   patch:
+ *     summary: Update the profile of the logged in user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               language:
+ *                 type: string
+ *                 enum: [es, en]
+ *               theme:
+ *                 type: string
+ *                 enum: [light, dark]
+ *               pushToken:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Push notification token of the app, null to stop notifications
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ */
+router.patch(
+    '/me',
+    authenticateToken,
+    [
+        body('name').optional().trim(),
+        body('phone').optional().trim(),
+        body('language').optional().isIn(LANGUAGES),
+        body('theme').optional().isIn(THEMES),
+        body('pushToken').optional({ nullable: true }).isString().trim().notEmpty(),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { name, phone, language, theme, pushToken } = req.body;
+
+            const user = await prisma.user.update({
+                where: { id: req.user.id },
+                data: {
+                    ...(name !== undefined && { name }),
+                    ...(phone !== undefined && { phone }),
+                    ...(language !== undefined && { language }),
+                    ...(theme !== undefined && { theme }),
+                    ...(pushToken !== undefined && { pushToken }),
+                },
+                select: profileSelect,
+            });
+
+            res.json({
+                message: 'Profile updated successfully',
+                user,
+            });
+        } catch (error) {
+            console.error('Update profile error:', error);
+            res.status(500).json({ error: 'Failed to update profile' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/auth/me/password:
  *   post:
- *     summary: Request password reset
+ *     summary: Change the password of the logged in user
+ *     description: Other sessions are revoked and a confirmation email is sent; the current session stays open
  *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -202,63 +493,82 @@ router.post(
  *           schema:
  *             type: object
  *             required:
- *               - email
+ *               - currentPassword
+ *               - newPassword
  *             properties:
- *               email:
+ *               currentPassword:
  *                 type: string
- *                 format: email
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
  *     responses:
  *       200:
- *         description: Reset email sent
- *       404:
- *         description: User not found
+ *         description: Password changed successfully
+ *       401:
+ *         description: Current password is incorrect
  */
 router.post(
-    '/forgot-password',
-    [body('email').isEmail().withMessage('Valid email required')],
+    '/me/password',
+    authenticateToken,
+    [
+        body('currentPassword').notEmpty().withMessage('Current password required'),
+        body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    ],
     validate,
     async (req, res) => {
         try {
-            const { email } = req.body;
+            const { currentPassword, newPassword } = req.body;
 
             const user = await prisma.user.findUnique({
-                where: { email },
+                where: { id: req.user.id },
             });
 
-            if (!user) {
-                // Don't reveal if user exists
-                return res.json({ message: 'If the email exists, a reset link has been sent' });
+            const validPassword = await bcrypt.compare(currentPassword, user.password);
+
+            if (!validPassword) {
+                return res.status(401).json({ error: 'Current password is incorrect' });
             }
 
-            // Generate reset token
-            const resetToken = crypto.randomBytes(32).toString('hex');
-            const resetTokenExpiry = new Date(Date.now() + 3600000); // 1 hour
+            const hashedPassword = await bcrypt.hash(newPassword, 10);
 
-            // Store token (you might want to add a PasswordReset model)
-            // For now, we'll use JWT with short expiry
-            const resetJWT = jwt.sign(
-                { userId: user.id, email: user.email, type: 'password-reset' },
-                process.env.JWT_SECRET,
-                { expiresIn: '1h' }
-            );
+            await prisma.$transaction(async (tx) => {
+                await tx.user.update({
+                    where: { id: user.id },
+                    data: { password: hashedPassword },
+                });
+                // A reset link emailed before the change must not take the account back
+                await tx.passwordReset.deleteMany({
+                    where: {
+                        userId: user.id,
+                        usedAt: null,
+                    },
+                });
+                await revokeUserSessions(tx, user.id, 'password_change', req.user.sessionId);
+            });
 
-            // Send email
-            await sendPasswordResetEmail(user.email, user.name, resetJWT, user.language);
+            sendPasswordChangedEmail(user.email, user.name, user.language).catch(() => {
+                // Already logged by the email service, the password is changed anyway
+            });
 
-            res.json({ message: 'If the email exists, a reset link has been sent' });
+            res.json({ message: 'Password changed successfully' });
         } catch (error) {
-            console.error('Forgot password error:', error);
-            res.status(500).json({ error: 'Failed to process request' });
+            console.error('Change password error:', error);
+            res.status(500).json({ error: 'Failed to change password' });
         }
     }
 );
 
 /**
  * @swagger
- * /api/auth/reset-password:
+ * /api/auth/me/email:
  *   post:
- *     summary: Reset password with token
+ *     summary: Request an email change
+ *     description: |
+ *       Emails a confirmation link to the new address, valid for 24 hours. The email of the
+ *       account only changes once the link is confirmed.
  *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -266,57 +576,948 @@ router.post(
  *           schema:
  *             type: object
  *             required:
- *               - token
- *               - newPassword
+ *               - newEmail
+ *               - password
  *             properties:
- *               token:
+ *               newEmail:
  *                 type: string
- *               newPassword:
+ *                 format: email
+ *               password:
  *                 type: string
- *                 minLength: 6
  *     responses:
  *       200:
- *         description: Password reset successful
- *       400:
- *         description: Invalid or expired token
+ *         description: Confirmation email sent
+ *       401:
+ *         description: Password is incorrect
+ *       409:
+ *         description: Email already registered
  */
 router.post(
-    '/reset-password',
+    '/me/email',
+    authenticateToken,
     [
-        body('token').notEmpty().withMessage('Token required'),
-        body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+        body('newEmail').isEmail().withMessage('Valid email required'),
+        body('password').notEmpty().withMessage('Password required'),
     ],
     validate,
     async (req, res) => {
         try {
-            const { token, newPassword } = req.body;
+            const { newEmail, password } = req.body;
+
+            const user = await prisma.user.findUnique({
+                where: { id: req.user.id },
+            });
+
+            const validPassword = await bcrypt.compare(password, user.password);
+
+            if (!validPassword) {
+                return res.status(401).json({ error: 'Password is incorrect' });
+            }
+
+            const existingUser = await prisma.user.findUnique({
+                where: { email: newEmail },
+            });
+
+            if (existingUser) {
+                return res.status(409).json({ error: 'Email already registered' });
+            }
+
+            const confirmToken = generateToken();
 
-            // Verify token
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            // Earlier requests stop working
+            const [, emailChange] = await prisma.$transaction([
+                prisma.emailChange.deleteMany({
+                    where: {
+                        userId: user.id,
+                        usedAt: null,
+                    },
+                }),
+                prisma.emailChange.create({
+                    data: {
+                        newEmail,
+                        tokenHash: hashToken(confirmToken),
+                        expiresAt: new Date(Date.now() + EMAIL_CHANGE_EXPIRY_MS),
+                        userId: user.id,
+                    },
+                }),
+            ]);
+
+            // Sent once stored, so the link always works; nothing is left if it cannot be sent
+            try {
+                await sendEmailChangeEmail(newEmail, user.name, confirmToken, user.language);
+            } catch (error) {
+                await prisma.emailChange.deleteMany({
+                    where: { id: emailChange.id },
+                });
+                throw error;
+            }
+
+            res.json({ message: 'Confirmation email sent to the new address' });
+        } catch (error) {
+            console.error('Request email change error:', error);
+            res.status(500).json({ error: 'Failed to request email change' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/auth/me/email/confirm:
+ *   post:
+ *     summary: Confirm an email change with the emailed token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email changed successfully
+ *       400:
+ *         description: Invalid, used or expired token
+ *       409:
+ *         description: Email already registered
+ */
+router.post(
+    '/me/email/confirm',
+    [body('token').notEmpty().withMessage('Token required')],
+    validate,
+    async (req, res) => {
+        try {
+            const emailChange = await prisma.emailChange.findUnique({
+                where: { tokenHash: hashToken(req.body.token) },
+            });
 
-            if (decoded.type !== 'password-reset') {
+            if (!emailChange || emailChange.usedAt) {
                 return res.status(400).json({ error: 'Invalid token' });
             }
 
-            // Hash new password
-            const hashedPassword = await bcrypt.hash(newPassword, 10);
+            if (emailChange.expiresAt <= new Date()) {
+                return res.status(400).json({ error: 'Confirmation token expired' });
+            }
 
-            // Update password
-            await prisma.user.update({
-                where: { id: decoded.userId },
-                data: { password: hashedPassword },
+            const user = await prisma.$transaction(async (tx) => {
+                // Claimed once, even with concurrent requests
+                const claimed = await tx.emailChange.updateMany({
+                    where: {
+                        id: emailChange.id,
+                        usedAt: null,
+                    },
+                    data: { usedAt: new Date() },
+                });
+
+                if (claimed.count === 0) {
+                    return null;
+                }
+
+                // Verification links sent to the previous address stop working
+                await tx.emailVerification.deleteMany({
+                    where: {
+                        userId: emailChange.userId,
+                        usedAt: null,
+                    },
+                });
+
+                // Following the emailed link proves the new address
+                return tx.user.update({
+                    where: { id: emailChange.userId },
+                    data: {
+                        email: emailChange.newEmail,
+                        emailVerifiedAt: new Date(),
+                    },
+                    select: profileSelect,
+                });
             });
 
-            res.json({ message: 'Password reset successful' });
+            if (!user) {
+                return res.status(400).json({ error: 'Invalid token' });
+            }
+
+            res.json({
+                message: 'Email changed successfully',
+                user,
+            });
         } catch (error) {
-            if (error.name === 'TokenExpiredError') {
-                return res.status(400).json({ error: 'Reset token expired' });
+            if (error.code === 'P2002') {
+                return res.status(409).json({ error: 'Email already registered' });
+            }
+            console.error('Confirm email change error:', error);
+            res.status(500).json({ error: 'Failed to change email' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify the email address with the emailed token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     description: |
+ *       No login required, the token comes from the link in the welcome or verification email.
+ *       The token works once and other pending verification links stop working.
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Invalid, used or expired token
+ */
+router.post(
+    '/verify-email',
+    [body('token').notEmpty().withMessage('Token required')],
+    validate,
+    async (req, res) => {
+        try {
+            const verification = await prisma.emailVerification.findUnique({
+                where: { tokenHash: hashToken(req.body.token) },
+            });
+
+            if (!verification || verification.usedAt) {
+                return res.status(400).json({ error: 'Invalid token' });
             }
-            if (error.name === 'JsonWebTokenError') {
+
+            if (verification.expiresAt <= new Date()) {
+                return res.status(400).json({ error: 'Verification token expired' });
+            }
+
+            const user = await prisma.$transaction(async (tx) => {
+                // Claimed once, even with concurrent requests
+                const claimed = await tx.emailVerification.updateMany({
+                    where: {
+                        id: verification.id,
+                        usedAt: null,
+                    },
+                    data: { usedAt: new Date() },
+                });
+
+                if (claimed.count === 0) {
+                    return null;
+                }
+
+                await tx.emailVerification.deleteMany({
+                    where: {
+                        userId: verification.userId,
+                        usedAt: null,
+                    },
+                });
+
+                return tx.user.update({
+                    where: { id: verification.userId },
+                    data: { emailVerifiedAt: new Date() },
+                    select: profileSelect,
+                });
+            });
+
+            if (!user) {
                 return res.status(400).json({ error: 'Invalid token' });
             }
-            console.error('Reset password error:', error);
-            res.status(500).json({ error: 'Failed to reset password' });
+
+            res.json({
+                message: 'Email verified successfully',
+                user,
+            });
+        } catch (error) {
+            console.error('Verify email error:', error);
+            res.status(500).json({ error: 'Failed to verify email' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     summary: Send a new verification link to the current user's email
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       Earlier links stop working. At most 3 emails are sent every hour.
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ *       429:
+ *         description: Too many verification emails requested
+ */
+router.post('/verify-email/resend', authenticateToken, async (req, res) => {
+    try {
+        const { user } = req;
+
+        if (user.emailVerifiedAt) {
+            return res.status(400).json({ error: 'Email already verified' });
+        }
+
+        const recentRequests = await prisma.emailVerification.count({
+            where: {
+                userId: user.id,
+                createdAt: { gt: new Date(Date.now() - EMAIL_VERIFICATION_WINDOW_MS) },
+            },
+        });
+
+        if (recentRequests >= EMAIL_VERIFICATION_LIMIT) {
+            return res.status(429).json({ error: 'Too many verification emails, try again later' });
+        }
+
+        // Only the latest link works; earlier ones expire but still count for the limit
+        await prisma.emailVerification.updateMany({
+            where: {
+                userId: user.id,
+                usedAt: null,
+                expiresAt: { gt: new Date() },
+            },
+            data: { expiresAt: new Date() },
+        });
+
+        const verifyToken = await createEmailVerification(user.id);
+        await sendVerificationEmail(user.email, user.name, verifyToken, user.language);
+
+        res.json({ message: 'Verification email sent' });
+    } catch (error) {
+        console.error('Resend verification email error:', error);
+        res.status(500).json({ error: 'Failed to send verification email' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   delete:
+ *     summary: Delete the account of the logged in user
+ *     description: |
+ *       Deletes the personal data (operations, sales, expenses, incomes, catalog, devices and
+ *       sessions). Records created inside organizations stay with the organization and pass to
+ *       its owner (in organizations without one, to another admin or member). Organizations
+ *       owned by the user must be transferred or deleted first.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account deleted successfully
+ *       401:
+ *         description: Password is incorrect
+ *       409:
+ *         description: The user still owns organizations, or is the last member of one without owner
+ */
+router.delete(
+    '/me',
+    authenticateToken,
+    [body('password').notEmpty().withMessage('Password required')],
+    validate,
+    async (req, res) => {
+        try {
+            const user = await prisma.user.findUnique({
+                where: { id: req.user.id },
+            });
+
+            const validPassword = await bcrypt.compare(req.body.password, user.password);
+
+            if (!validPassword) {
+                return res.status(401).json({ error: 'Password is incorrect' });
+            }
+
+            const organizations = await findOwnedOrganizations(prisma, user.id);
+
+            if (organizations.length > 0) {
+                return res.status(409).json({
+                    error: 'Transfer or delete the organizations you own first',
+                    organizations,
+                });
+            }
+
+            const withoutHeir = await findOrganizationsWithoutHeir(prisma, user.id);
+
+            if (withoutHeir.length > 0) {
+                return res.status(409).json({
+                    error: 'Nobody else could keep your records in these organizations, add another member first',
+                    organizations: withoutHeir,
+                });
+            }
+
+            await prisma.$transaction(
+                (tx) => deleteUserAccount(tx, user.id),
+                { timeout: ACCOUNT_DELETE_TIMEOUT }
+            );
+
+            res.json({ message: 'Account deleted successfully' });
+        } catch (error) {
+            console.error('Delete account error:', error);
+            res.status(500).json({ error: 'Failed to delete account' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for new tokens
+ *     description: |
+ *       Access tokens are short-lived (JWT_EXPIRES_IN). Each refresh token works once and is
+ *       replaced by the one returned; reusing an exchanged refresh token revokes the session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access token and refresh token
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ */
+router.post(
+    '/refresh',
+    [body('refreshToken').notEmpty().withMessage('Refresh token required')],
+    validate,
+    async (req, res) => {
+        try {
+            const result = await prisma.$transaction((tx) => rotateRefreshToken(tx, req.body.refreshToken));
+
+            if (result.error) {
+                return res.status(401).json({ error: result.error });
+            }
+
+            res.json({
+                token: result.token,
+                refreshToken: result.refreshToken,
+            });
+        } catch (error) {
+            console.error('Refresh token error:', error);
+            res.status(500).json({ error: 'Failed to refresh token' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout, revoking the current session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ */
+router.post('/logout', authenticateToken, async (req, res) => {
+    try {
+        await revokeSession(prisma, req.user.sessionId, 'logout');
+
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: Get the active sessions of the user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of active sessions, flagging the current one
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await prisma.session.findMany({
+            where: {
+                userId: req.user.id,
+                revokedAt: null,
+                expiresAt: { gt: new Date() },
+            },
+            select: {
+                id: true,
+                userAgent: true,
+                ipAddress: true,
+                lastUsedAt: true,
+                expiresAt: true,
+                createdAt: true,
+            },
+            orderBy: { lastUsedAt: 'desc' },
+        });
+
+        res.json({
+            sessions: sessions.map((session) => ({
+                ...session,
+                current: session.id === req.user.sessionId,
+            })),
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Revoke every session except the current one
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked successfully
+ */
+router.delete('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const revoked = await revokeUserSessions(prisma, req.user.id, 'revoked', req.user.sessionId);
+
+        res.json({
+            message: 'Other sessions revoked successfully',
+            revoked: revoked.count,
+        });
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session (e.g. a lost or stolen phone)
+ *     description: Its access token stops working immediately and its refresh token can no longer be used
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       404:
+ *         description: Session not found or already revoked
+ */
+router.delete(
+    '/sessions/:id',
+    authenticateToken,
+    [param('id').isUUID()],
+    validate,
+    async (req, res) => {
+        try {
+            const revoked = await prisma.session.updateMany({
+                where: {
+                    id: req.params.id,
+                    userId: req.user.id,
+                    revokedAt: null,
+                },
+                data: {
+                    revokedAt: new Date(),
+                    revokedReason: 'revoked',
+                },
+            });
+
+            if (revoked.count === 0) {
+                return res.status(404).json({ error: 'Session not found or already revoked' });
+            }
+
+            res.json({ message: 'Session revoked successfully' });
+        } catch (error) {
+            console.error('Revoke session error:', error);
+            res.status(500).json({ error: 'Failed to revoke session' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request password reset
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     description: |
+ *       Emails a single-use link valid for 1 hour. The answer is the same whether the email
+ *       exists or not, and at most 3 emails per account are sent every hour.
+ *     responses:
+ *       200:
+ *         description: Reset email sent (if the email exists)
+ */
+router.post(
+    '/forgot-password',
+    [body('email').isEmail().withMessage('Valid email required')],
+    validate,
+    async (req, res) => {
+        try {
+            const { email } = req.body;
+
+            const user = await prisma.user.findUnique({
+                where: { email },
+            });
+
+            if (!user) {
+                // Don't reveal if user exists
+                return res.json({ message: 'If the email exists, a reset link has been sent' });
+            }
+
+            // Rate limited per account; the answer stays the same so it reveals nothing
+            const recentRequests = await prisma.passwordReset.count({
+                where: {
+                    userId: user.id,
+                    createdAt: { gt: new Date(Date.now() - PASSWORD_RESET_WINDOW_MS) },
+                },
+            });
+
+            if (recentRequests >= PASSWORD_RESET_LIMIT) {
+                return res.json({ message: 'If the email exists, a reset link has been sent' });
+            }
+
+            // Only the hash is stored, the token travels in the email
+            const resetToken = generateToken();
+
+            await prisma.passwordReset.create({
+                data: {
+                    tokenHash: hashToken(resetToken),
+                    expiresAt: new Date(Date.now() + PASSWORD_RESET_EXPIRY_MS),
+                    ipAddress: req.ip,
+                    userId: user.id,
+                },
+            });
+
+            // Send email
+            await sendPasswordResetEmail(user.email, user.name, resetToken, user.language);
+
+            res.json({ message: 'If the email exists, a reset link has been sent' });
+        } catch (error) {
+            console.error('Forgot password error:', error);
+            res.status(500).json({ error: 'Failed to process request' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password with token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *     description: |
+ *       The token works once. Other pending reset links stop working, every session is
+ *       revoked, a login lockout is lifted and a confirmation email is sent.
+ *     responses:
+ *       200:
+ *         description: Password reset successful
+ *       400:
+ *         description: Invalid, used or expired token
+ */
+router.post(
+    '/reset-password',
+    [
+        body('token').notEmpty().withMessage('Token required'),
+        body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { token, newPassword } = req.body;
+
+            const passwordReset = await prisma.passwordReset.findUnique({
+                where: { tokenHash: hashToken(token) },
+                include: { user: true },
+            });
+
+            if (!passwordReset || passwordReset.usedAt) {
+                return res.status(400).json({ error: 'Invalid token' });
+            }
+
+            if (passwordReset.expiresAt <= new Date()) {
+                return res.status(400).json({ error: 'Reset token expired' });
+            }
+
+            // Hash new password
+            const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+            const used = await prisma.$transaction(async (tx) => {
+                // Claimed once, even with concurrent requests
+                const claimed = await tx.passwordReset.updateMany({
+                    where: {
+                        id: passwordReset.id,
+                        usedAt: null,
+                    },
+                    data: { usedAt: new Date() },
+                });
+
+                if (claimed.count === 0) {
+                    return false;
+                }
+
+                await tx.user.update({
+                    where: { id: passwordReset.userId },
+                    data: {
+                        password: hashedPassword,
+                        ...loginUnlocked,
+                    },
+                });
+
+                // Other links emailed to the account stop working, every device logs in again
+                await tx.passwordReset.deleteMany({
+                    where: {
+                        userId: passwordReset.userId,
+                        usedAt: null,
+                    },
+                });
+                await revokeUserSessions(tx, passwordReset.userId, 'password_reset');
+
+                return true;
+            });
+
+            if (!used) {
+                return res.status(400).json({ error: 'Invalid token' });
+            }
+
+            const { user } = passwordReset;
+            sendPasswordChangedEmail(user.email, user.name, user.language).catch(() => {
+                // Already logged by the email service, the password is changed anyway
+            });
+
+            res.json({ message: 'Password reset successful' });
+        } catch (error) {
+            console.error('Reset password error:', error);
+            res.status(500).json({ error: 'Failed to reset password' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/auth/unlock-account:
+ *   post:
+ *     summary: Unlock an account with the token emailed when it was locked
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       400:
+ *         description: Invalid, used or expired token
+ */
+router.post(
+    '/unlock-account',
+    [body('token').notEmpty().withMessage('Token required')],
+    validate,
+    async (req, res) => {
+        try {
+            const accountUnlock = await prisma.accountUnlock.findUnique({
+                where: { tokenHash: hashToken(req.body.token) },
+            });
+
+            if (!accountUnlock || accountUnlock.usedAt) {
+                return res.status(400).json({ error: 'Invalid token' });
+            }
+
+            if (accountUnlock.expiresAt <= new Date()) {
+                return res.status(400).json({ error: 'Unlock token expired' });
+            }
+
+            const unlocked = await prisma.$transaction(async (tx) => {
+                // Claimed once, even with concurrent requests
+                const claimed = await tx.accountUnlock.updateMany({
+                    where: {
+                        id: accountUnlock.id,
+                        usedAt: null,
+                    },
+                    data: { usedAt: new Date() },
+                });
+
+                if (claimed.count === 0) {
+                    return false;
+                }
+
+                await tx.accountUnlock.deleteMany({
+                    where: {
+                        userId: accountUnlock.userId,
+                        usedAt: null,
+                    },
+                });
+                await tx.user.update({
+                    where: { id: accountUnlock.userId },
+                    data: loginUnlocked,
+                });
+
+                return true;
+            });
+
+            if (!unlocked) {
+                return res.status(400).json({ error: 'Invalid token' });
+            }
+
+            res.json({ message: 'Account unlocked' });
+        } catch (error) {
+            console.error('Unlock account error:', error);
+            res.status(500).json({ error: 'Failed to unlock account' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/auth/lockouts/clear:
+ *   post:
+ *     summary: Clear login lockouts of an email and/or an IP (admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               ipAddress:
+ *                 type: string
+ *     description: |
+ *       Unlocks the account with that email and forgets the failed attempts recorded for the
+ *       email and for the IP, so neither is delayed or refused anymore.
+ *     responses:
+ *       200:
+ *         description: Lockouts cleared
+ *       400:
+ *         description: Email or IP address required
+ *       403:
+ *         description: Admin access required
+ */
+router.post(
+    '/lockouts/clear',
+    authenticateToken,
+    requireAdmin,
+    [
+        body('email').optional().isEmail().withMessage('Valid email required'),
+        body('ipAddress').optional().isIP().withMessage('Valid IP address required'),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { email, ipAddress } = req.body;
+
+            if (!email && !ipAddress) {
+                return res.status(400).json({ error: 'Email or IP address required' });
+            }
+
+            const result = await prisma.$transaction(async (tx) => {
+                let accountsUnlocked = 0;
+                let failuresCleared = 0;
+
+                if (email) {
+                    const unlocked = await tx.user.updateMany({
+                        where: { email },
+                        data: loginUnlocked,
+                    });
+                    const cleared = await tx.loginFailure.deleteMany({
+                        where: { email },
+                    });
+                    accountsUnlocked = unlocked.count;
+                    failuresCleared += cleared.count;
+                }
+
+                if (ipAddress) {
+                    const cleared = await tx.loginFailure.deleteMany({
+                        where: { ipAddress },
+                    });
+                    failuresCleared += cleared.count;
+                }
+
+                return { accountsUnlocked, failuresCleared };
+            });
+
+            res.json({
+                message: 'Lockouts cleared',
+                ...result,
+            });
+        } catch (error) {
+            console.error('Clear lockouts error:', error);
+            res.status(500).json({ error: 'Failed to clear lockouts' });
         }
     }
 );
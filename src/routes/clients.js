@@ -0,0 +1,353 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { body, param, query } from 'express-validator';
+import { validate } from '../middleware/validation.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { resolveScope, requirePermission } from '../middleware/scope.js';
+import { calculateReceivable } from '../utils/saleHelpers.js';
+import { deleteSyncRecord, findSyncEntity } from '../utils/syncEntities.js';
+import { scopeData, scopeWhere } from '../utils/scope.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+/**
+ * @swagger
+ * /api/clients:
+ *   post:
+ *     summary: Create a new client
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Client created successfully
+ */
+router.post(
+    '/',
+    authenticateToken,
+    resolveScope,
+    requirePermission('catalog.manage'),
+    [
+        body('name').trim().notEmpty().withMessage('Client name required'),
+        body('phone').optional().trim(),
+        body('address').optional().trim(),
+        body('notes').optional().trim(),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { name, phone, address, notes } = req.body;
+
+            const client = await prisma.client.create({
+                data: {
+                    name,
+                    phone,
+                    address,
+                    notes,
+                    ...scopeData(req.scope),
+                },
+            });
+
+            res.status(201).json({
+                message: 'Client created successfully',
+                client,
+            });
+        } catch (error) {
+            console.error('Create client error:', error);
+            res.status(500).json({ error: 'Failed to create client' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/clients:
+ *   get:
+ *     summary: Get all clients
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of clients with their outstanding receivable
+ */
+router.get('/', authenticateToken, resolveScope, async (req, res) => {
+    try {
+        const { search } = req.query;
+
+        const where = scopeWhere(req.scope);
+
+        if (search) {
+            where.OR = [
+                { name: { contains: search, mode: 'insensitive' } },
+                { phone: { contains: search, mode: 'insensitive' } },
+            ];
+        }
+
+        const clients = await prisma.client.findMany({
+            where,
+            include: {
+                sales: {
+                    select: {
+                        status: true,
+                        totalAmount: true,
+                        payments: {
+                            select: {
+                                amount: true,
+                                paymentDate: true,
+                            },
+                        },
+                    },
+                },
+                _count: {
+                    select: {
+                        sales: true,
+                    },
+                },
+            },
+            orderBy: {
+                name: 'asc',
+            },
+        });
+
+        res.json({
+            clients: clients.map(({ sales, ...client }) => ({
+                ...client,
+                ...calculateReceivable(sales),
+            })),
+        });
+    } catch (error) {
+        console.error('Get clients error:', error);
+        res.status(500).json({ error: 'Failed to fetch clients' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/clients/{id}:
+ *   get:
+ *     summary: Get client by ID with sales history and receivable
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Client details with sales, outstanding receivable and last payment date
+ *       404:
+ *         description: Client not found
+ */
+router.get(
+    '/:id',
+    authenticateToken,
+    resolveScope,
+    [param('id').isUUID()],
+    validate,
+    async (req, res) => {
+        try {
+            const client = await prisma.client.findFirst({
+                where: {
+                    id: req.params.id,
+                    ...scopeWhere(req.scope),
+                },
+                include: {
+                    sales: {
+                        orderBy: {
+                            saleDate: 'desc',
+                        },
+                        include: {
+                            product: {
+                                select: {
+                                    id: true,
+                                    name: true,
+                                    unit: true,
+                                },
+                            },
+                            payments: {
+                                orderBy: {
+                                    paymentDate: 'desc',
+                                },
+                            },
+                        },
+                    },
+                },
+            });
+
+            if (!client) {
+                return res.status(404).json({ error: 'Client not found' });
+            }
+
+            // Receivable is computed over the full history, only the latest sales are returned
+            const { sales, ...clientData } = client;
+
+            res.json({
+                client: {
+                    ...clientData,
+                    sales: sales.slice(0, 20),
+                    _count: { sales: sales.length },
+                },
+                receivable: calculateReceivable(sales),
+            });
+        } catch (error) {
+            console.error('Get client error:', error);
+            res.status(500).json({ error: 'Failed to fetch client' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/clients/{id}:
+ *   patch:
+ *     summary: Update client
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Client updated successfully
+ */
+router.patch(
+    '/:id',
+    authenticateToken,
+    resolveScope,
+    requirePermission('catalog.manage'),
+    [
+        param('id').isUUID(),
+        body('name').optional().trim().notEmpty(),
+        body('phone').optional().trim(),
+        body('address').optional().trim(),
+        body('notes').optional().trim(),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { name, phone, address, notes } = req.body;
+
+            const client = await prisma.client.updateMany({
+                where: {
+                    id: req.params.id,
+                    ...scopeWhere(req.scope),
+                },
+                data: {
+                    ...(name && { name }),
+                    ...(phone !== undefined && { phone }),
+                    ...(address !== undefined && { address }),
+                    ...(notes !== undefined && { notes }),
+                },
+            });
+
+            if (client.count === 0) {
+                return res.status(404).json({ error: 'Client not found or access denied' });
+            }
+
+            const updatedClient = await prisma.client.findUnique({
+                where: { id: req.params.id },
+            });
+
+            res.json({
+                message: 'Client updated successfully',
+                client: updatedClient,
+            });
+        } catch (error) {
+            console.error('Update client error:', error);
+            res.status(500).json({ error: 'Failed to update client' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/clients/{id}:
+ *   delete:
+ *     summary: Delete client
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Client deleted successfully
+ *       400:
+ *         description: Cannot delete client with sales
+ */
+router.delete(
+    '/:id',
+    authenticateToken,
+    resolveScope,
+    requirePermission('record.delete'),
+    [param('id').isUUID()],
+    validate,
+    async (req, res) => {
+        try {
+            const result = await prisma.$transaction(
+                (tx) => deleteSyncRecord(tx, findSyncEntity('clients'), req.params.id, req.scope)
+            );
+
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error, ...result.details });
+            }
+
+            res.json({ message: 'Client deleted successfully' });
+        } catch (error) {
+            console.error('Delete client error:', error);
+            res.status(500).json({ error: 'Failed to delete client' });
+        }
+    }
+);
+
+export default router;
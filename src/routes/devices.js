@@ -0,0 +1,232 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { body, param } from 'express-validator';
+import { validate } from '../middleware/validation.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { hashDeviceToken } from '../middleware/device.js';
+import { generateToken } from '../utils/tokens.js';
+import { revokeSession } from '../utils/sessions.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const DEVICE_PLATFORMS = ['android', 'ios', 'web'];
+
+// Never expose the token hash
+const deviceSelect = {
+    id: true,
+    name: true,
+    platform: true,
+    appVersion: true,
+    lastSeenAt: true,
+    revokedAt: true,
+    createdAt: true,
+};
+
+/**
+ * @swagger
+ * /api/devices:
+ *   post:
+ *     summary: Register a device for sync
+ *     description: |
+ *       Returns a device token, shown only once. Push and pull require it in the
+ *       X-Device-Token header (and optionally X-App-Version to keep the version current).
+ *       The device is tied to the session (login) that registers it.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - platform
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Samsung A14 de Pedro
+ *               platform:
+ *                 type: string
+ *                 enum: [android, ios, web]
+ *               appVersion:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Device registered successfully
+ */
+router.post(
+    '/',
+    authenticateToken,
+    [
+        body('name').trim().notEmpty().withMessage('Device name required'),
+        body('platform').isIn(DEVICE_PLATFORMS),
+        body('appVersion').optional().trim().notEmpty(),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { name, platform, appVersion } = req.body;
+            const deviceToken = generateToken();
+
+            const device = await prisma.device.create({
+                data: {
+                    name,
+                    platform,
+                    appVersion,
+                    tokenHash: hashDeviceToken(deviceToken),
+                    lastSeenAt: new Date(),
+                    userId: req.user.id,
+                    sessionId: req.user.sessionId,
+                },
+                select: deviceSelect,
+            });
+
+            res.status(201).json({
+                message: 'Device registered successfully',
+                device,
+                deviceToken,
+            });
+        } catch (error) {
+            console.error('Register device error:', error);
+            res.status(500).json({ error: 'Failed to register device' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/devices:
+ *   get:
+ *     summary: Get the user's devices with their sync health
+ *     description: Last successful push and pull, failed sync count and last error per device
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of devices
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const devices = await prisma.device.findMany({
+            where: { userId: req.user.id },
+            select: deviceSelect,
+            orderBy: { lastSeenAt: 'desc' },
+        });
+
+        const deviceIds = devices.map((device) => device.id);
+
+        const [stats, lastErrors] = await Promise.all([
+            prisma.syncLog.groupBy({
+                by: ['deviceId', 'syncType', 'status'],
+                where: { deviceId: { in: deviceIds } },
+                _count: { _all: true },
+                _max: { createdAt: true },
+            }),
+            prisma.syncLog.findMany({
+                where: {
+                    deviceId: { in: deviceIds },
+                    status: 'failed',
+                },
+                orderBy: { createdAt: 'desc' },
+                distinct: ['deviceId'],
+            }),
+        ]);
+
+        const devicesWithHealth = devices.map((device) => {
+            const deviceStats = stats.filter((stat) => stat.deviceId === device.id);
+            const lastSuccess = (syncType) => deviceStats
+                .find((stat) => stat.syncType === syncType && stat.status === 'success')?._max.createdAt || null;
+            const lastError = lastErrors.find((log) => log.deviceId === device.id);
+
+            return {
+                ...device,
+                lastPushAt: lastSuccess('push'),
+                lastPullAt: lastSuccess('pull'),
+                errorCount: deviceStats
+                    .filter((stat) => stat.status === 'failed')
+                    .reduce((sum, stat) => sum + stat._count._all, 0),
+                lastError: lastError
+                    ? { message: lastError.errorMessage, syncType: lastError.syncType, at: lastError.createdAt }
+                    : null,
+            };
+        });
+
+        res.json({ devices: devicesWithHealth });
+    } catch (error) {
+        console.error('Get devices error:', error);
+        res.status(500).json({ error: 'Failed to fetch devices' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/devices/{id}/revoke:
+ *   post:
+ *     summary: Revoke a device (lost or replaced phone)
+ *     description: |
+ *       The device token stops working for sync and the session that registered the device is
+ *       revoked, so the device needs a new login before it can be registered again.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Device revoked successfully
+ *       404:
+ *         description: Device not found
+ */
+router.post(
+    '/:id/revoke',
+    authenticateToken,
+    [param('id').isUUID()],
+    validate,
+    async (req, res) => {
+        try {
+            const revoked = await prisma.$transaction(async (tx) => {
+                const device = await tx.device.findFirst({
+                    where: {
+                        id: req.params.id,
+                        userId: req.user.id,
+                        revokedAt: null,
+                    },
+                });
+
+                if (!device) {
+                    return false;
+                }
+
+                await tx.device.update({
+                    where: { id: device.id },
+                    data: { revokedAt: new Date() },
+                });
+
+                if (device.sessionId) {
+                    await revokeSession(tx, device.sessionId, 'device_revoked');
+                }
+
+                return true;
+            });
+
+            if (!revoked) {
+                return res.status(404).json({ error: 'Device not found or already revoked' });
+            }
+
+            res.json({ message: 'Device revoked successfully' });
+        } catch (error) {
+            console.error('Revoke device error:', error);
+            res.status(500).json({ error: 'Failed to revoke device' });
+        }
+    }
+);
+
+export default router;
@@ -3,97 +3,127 @@ import { PrismaClient } from '@prisma/client';
 import { body, param, query } from 'express-validator';
 import { validate } from '../middleware/validation.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { resolveScope, requirePermission } from '../middleware/scope.js';
+import { deleteSyncRecord, findSyncEntity } from '../utils/syncEntities.js';
+import { scopeData, scopeWhere } from '../utils/scope.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const EXPENSE_TYPES = ['FREIGHT', 'TRANSPORT', 'FOOD', 'OTHER'];
+const EXPENSE_SCOPES = ['BUSINESS', 'PERSONAL'];
+
 /**
- * @swagger
- * /api/expenses/categories:
- *   get:
- *     summary: Get all expense categories
- *     tags: [Expenses]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: List of expense categories
+ * Check that an operation belongs to the scope before linking an expense to it
  */
-router.get('/categories', authenticateToken, async (req, res) => {
-    try {
-        const categories = await prisma.expenseCategory.findMany({
-            where: {
-                OR: [
-                    { isDefault: true },
-                    { userId: req.user.id },
-                ],
-            },
-            orderBy: [
-                { isDefault: 'desc' },
-                { name: 'asc' },
-            ],
-        });
-
-        res.json({ categories });
-    } catch (error) {
-        console.error('Get categories error:', error);
-        res.status(500).json({ error: 'Failed to fetch categories' });
-    }
+const findScopeOperation = (scope, operationId) => prisma.operation.findFirst({
+    where: {
+        id: operationId,
+        ...scopeWhere(scope),
+    },
 });
 
 /**
  * @swagger
- * /api/expenses/categories:
- *   post:
- *     summary: Create custom expense category
+ * /api/expenses/summary:
+ *   get:
+ *     summary: Get expense totals per month, grouped by type and scope
  *     tags: [Expenses]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - name
- *             properties:
- *               name:
- *                 type: string
- *               nameEn:
- *                 type: string
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [BUSINESS, PERSONAL]
  *     responses:
- *       201:
- *         description: Category created successfully
+ *       200:
+ *         description: Monthly expense summary
  */
-router.post(
-    '/categories',
+router.get(
+    '/summary',
     authenticateToken,
+    resolveScope,
     [
-        body('name').trim().notEmpty().withMessage('Category name required'),
-        body('nameEn').optional().trim(),
+        query('startDate').optional().isISO8601(),
+        query('endDate').optional().isISO8601(),
+        query('scope').optional().isIn(EXPENSE_SCOPES),
     ],
     validate,
     async (req, res) => {
         try {
-            const { name, nameEn } = req.body;
+            const { startDate, endDate, scope } = req.query;
 
-            const category = await prisma.expenseCategory.create({
-                data: {
-                    name,
-                    nameEn,
-                    userId: req.user.id,
-                    isDefault: false,
+            const where = scopeWhere(req.scope);
+
+            if (scope) {
+                where.scope = scope;
+            }
+
+            if (startDate || endDate) {
+                where.expenseDate = {
+                    ...(startDate && { gte: new Date(startDate) }),
+                    ...(endDate && { lte: new Date(endDate) }),
+                };
+            }
+
+            const expenses = await prisma.expense.findMany({
+                where,
+                select: {
+                    amount: true,
+                    expenseType: true,
+                    scope: true,
+                    expenseDate: true,
+                },
+                orderBy: {
+                    expenseDate: 'asc',
                 },
             });
 
-            res.status(201).json({
-                message: 'Category created successfully',
-                category,
+            // Group by month (YYYY-MM), then by scope and type
+            const months = {};
+
+            expenses.forEach((expense) => {
+                const month = expense.expenseDate.toISOString().substring(0, 7);
+
+                if (!months[month]) {
+                    months[month] = {
+                        month,
+                        total: 0,
+                        byScope: Object.fromEntries(EXPENSE_SCOPES.map((s) => [s, 0])),
+                        byType: Object.fromEntries(EXPENSE_TYPES.map((t) => [t, 0])),
+                        byScopeAndType: Object.fromEntries(EXPENSE_SCOPES.map((s) => [
+                            s,
+                            Object.fromEntries(EXPENSE_TYPES.map((t) => [t, 0])),
+                        ])),
+                    };
+                }
+
+                const summary = months[month];
+                summary.total += expense.amount;
+                summary.byScope[expense.scope] += expense.amount;
+                summary.byType[expense.expenseType] += expense.amount;
+                summary.byScopeAndType[expense.scope][expense.expenseType] += expense.amount;
+            });
+
+            res.json({
+                summary: Object.values(months),
+                total: expenses.reduce((sum, e) => sum + e.amount, 0),
             });
         } catch (error) {
-            console.error('Create category error:', error);
-            res.status(500).json({ error: 'Failed to create category' });
+            console.error('Get expense summary error:', error);
+            res.status(500).json({ error: 'Failed to fetch expense summary' });
         }
     }
 );
@@ -108,73 +138,106 @@ router.post(
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: transactionId
+ *         name: scope
  *         schema:
  *           type: string
+ *           enum: [BUSINESS, PERSONAL]
  *       - in: query
- *         name: categoryId
+ *         name: expenseType
+ *         schema:
+ *           type: string
+ *           enum: [FREIGHT, TRANSPORT, FOOD, OTHER]
+ *       - in: query
+ *         name: operationId
  *         schema:
  *           type: string
  *       - in: query
  *         name: general
+ *         description: Only expenses not linked to an operation
  *         schema:
  *           type: boolean
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
  *     responses:
  *       200:
  *         description: List of expenses
  */
-router.get('/', authenticateToken, async (req, res) => {
-    try {
-        const { transactionId, categoryId, general } = req.query;
+router.get(
+    '/',
+    authenticateToken,
+    resolveScope,
+    [
+        query('scope').optional().isIn(EXPENSE_SCOPES),
+        query('expenseType').optional().isIn(EXPENSE_TYPES),
+        query('operationId').optional().isUUID(),
+        query('general').optional().isBoolean(),
+        query('startDate').optional().isISO8601(),
+        query('endDate').optional().isISO8601(),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { scope, expenseType, operationId, general, startDate, endDate } = req.query;
 
-        const where = {};
+            const where = scopeWhere(req.scope);
 
-        if (transactionId) {
-            where.transactionId = transactionId;
-        } else if (general === 'true') {
-            where.transactionId = null;
-        }
+            if (operationId) {
+                where.operationId = operationId;
+            } else if (general === 'true') {
+                where.operationId = null;
+            }
 
-        if (categoryId) {
-            where.categoryId = categoryId;
-        }
+            if (scope) {
+                where.scope = scope;
+            }
+
+            if (expenseType) {
+                where.expenseType = expenseType;
+            }
+
+            if (startDate || endDate) {
+                where.expenseDate = {
+                    ...(startDate && { gte: new Date(startDate) }),
+                    ...(endDate && { lte: new Date(endDate) }),
+                };
+            }
 
-        // Get expenses from user's transactions or general expenses
-        const expenses = await prisma.expense.findMany({
-            where: {
-                ...where,
-                OR: [
-                    { transaction: { userId: req.user.id } },
-                    { transactionId: null }, // General expenses
-                ],
-            },
-            include: {
-                category: true,
-                transaction: {
-                    select: {
-                        id: true,
-                        contractNumber: true,
-                        description: true,
+            const expenses = await prisma.expense.findMany({
+                where,
+                include: {
+                    operation: {
+                        select: {
+                            id: true,
+                            operationNumber: true,
+                        },
                     },
                 },
-            },
-            orderBy: {
-                expenseDate: 'desc',
-            },
-        });
-
-        res.json({ expenses });
-    } catch (error) {
-        console.error('Get expenses error:', error);
-        res.status(500).json({ error: 'Failed to fetch expenses' });
+                orderBy: {
+                    expenseDate: 'desc',
+                },
+            });
+
+            res.json({ expenses });
+        } catch (error) {
+            console.error('Get expenses error:', error);
+            res.status(500).json({ error: 'Failed to fetch expenses' });
+        }
     }
-});
+);
 
 /**
  * @swagger
  * /api/expenses:
  *   post:
- *     summary: Create general expense (not linked to transaction)
+ *     summary: Create expense (optionally linked to an operation)
  *     tags: [Expenses]
  *     security:
  *       - bearerAuth: []
@@ -186,40 +249,70 @@ router.get('/', authenticateToken, async (req, res) => {
  *             type: object
  *             required:
  *               - amount
- *               - categoryId
+ *               - description
  *             properties:
  *               amount:
  *                 type: number
- *               categoryId:
+ *               expenseType:
+ *                 type: string
+ *                 enum: [FREIGHT, TRANSPORT, FOOD, OTHER]
+ *                 default: OTHER
+ *               scope:
  *                 type: string
+ *                 enum: [BUSINESS, PERSONAL]
+ *                 default: BUSINESS
  *               description:
  *                 type: string
+ *               expenseDate:
+ *                 type: string
+ *                 format: date-time
+ *               operationId:
+ *                 type: string
  *     responses:
  *       201:
  *         description: Expense created successfully
+ *       404:
+ *         description: Operation not found
  */
 router.post(
     '/',
     authenticateToken,
+    resolveScope,
+    requirePermission('expense.manage'),
     [
-        body('amount').isFloat({ min: 0.01 }),
-        body('categoryId').isUUID(),
-        body('description').optional().trim(),
+        body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+        body('expenseType').optional().isIn(EXPENSE_TYPES),
+        body('scope').optional().isIn(EXPENSE_SCOPES),
+        body('description').trim().notEmpty().withMessage('Description required'),
+        body('expenseDate').optional().isISO8601(),
+        body('operationId').optional({ nullable: true }).isUUID(),
     ],
     validate,
     async (req, res) => {
         try {
-            const { amount, categoryId, description } = req.body;
+            const { amount, expenseType, scope, description, expenseDate, operationId } = req.body;
+
+            if (operationId && !(await findScopeOperation(req.scope, operationId))) {
+                return res.status(404).json({ error: 'Operation not found' });
+            }
 
             const expense = await prisma.expense.create({
                 data: {
                     amount,
-                    categoryId,
+                    expenseType,
+                    scope,
                     description,
-                    transactionId: null, // General expense
+                    operationId: operationId || null,
+                    ...scopeData(req.scope),
+                    ...(expenseDate && { expenseDate: new Date(expenseDate) }),
                 },
                 include: {
-                    category: true,
+                    operation: {
+                        select: {
+                            id: true,
+                            operationNumber: true,
+                        },
+                    },
                 },
             });
 
@@ -237,8 +330,8 @@ router.post(
 /**
  * @swagger
  * /api/expenses/{id}:
- *   delete:
- *     summary: Delete expense
+ *   patch:
+ *     summary: Update expense
  *     tags: [Expenses]
  *     security:
  *       - bearerAuth: []
@@ -248,35 +341,137 @@ router.post(
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               expenseType:
+ *                 type: string
+ *                 enum: [FREIGHT, TRANSPORT, FOOD, OTHER]
+ *               scope:
+ *                 type: string
+ *                 enum: [BUSINESS, PERSONAL]
+ *               description:
+ *                 type: string
+ *               expenseDate:
+ *                 type: string
+ *                 format: date-time
+ *               operationId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Send null to unlink the expense from its operation
  *     responses:
  *       200:
- *         description: Expense deleted successfully
+ *         description: Expense updated successfully
+ *       404:
+ *         description: Expense or operation not found
  */
-router.delete(
+router.patch(
     '/:id',
     authenticateToken,
-    [param('id').isUUID()],
+    resolveScope,
+    requirePermission('expense.manage'),
+    [
+        param('id').isUUID(),
+        body('amount').optional().isFloat({ gt: 0 }),
+        body('expenseType').optional().isIn(EXPENSE_TYPES),
+        body('scope').optional().isIn(EXPENSE_SCOPES),
+        body('description').optional().trim().notEmpty(),
+        body('expenseDate').optional().isISO8601(),
+        body('operationId').optional({ nullable: true }).isUUID(),
+    ],
     validate,
     async (req, res) => {
         try {
-            // Verify ownership through transaction
-            const expense = await prisma.expense.findFirst({
+            const { amount, expenseType, scope, description, expenseDate, operationId } = req.body;
+
+            if (operationId && !(await findScopeOperation(req.scope, operationId))) {
+                return res.status(404).json({ error: 'Operation not found' });
+            }
+
+            const expense = await prisma.expense.updateMany({
                 where: {
                     id: req.params.id,
-                    OR: [
-                        { transaction: { userId: req.user.id } },
-                        { transactionId: null }, // General expense
-                    ],
+                    ...scopeWhere(req.scope),
+                },
+                data: {
+                    ...(amount !== undefined && { amount }),
+                    ...(expenseType && { expenseType }),
+                    ...(scope && { scope }),
+                    ...(description && { description }),
+                    ...(expenseDate && { expenseDate: new Date(expenseDate) }),
+                    ...(operationId !== undefined && { operationId }),
                 },
             });
 
-            if (!expense) {
+            if (expense.count === 0) {
                 return res.status(404).json({ error: 'Expense not found' });
             }
 
-            await prisma.expense.delete({
+            const updatedExpense = await prisma.expense.findUnique({
                 where: { id: req.params.id },
+                include: {
+                    operation: {
+                        select: {
+                            id: true,
+                            operationNumber: true,
+                        },
+                    },
+                },
+            });
+
+            res.json({
+                message: 'Expense updated successfully',
+                expense: updatedExpense,
             });
+        } catch (error) {
+            console.error('Update expense error:', error);
+            res.status(500).json({ error: 'Failed to update expense' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/expenses/{id}:
+ *   delete:
+ *     summary: Delete expense
+ *     tags: [Expenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Expense deleted successfully
+ *       404:
+ *         description: Expense not found
+ */
+router.delete(
+    '/:id',
+    authenticateToken,
+    resolveScope,
+    requirePermission('record.delete'),
+    [param('id').isUUID()],
+    validate,
+    async (req, res) => {
+        try {
+            const result = await prisma.$transaction(
+                (tx) => deleteSyncRecord(tx, findSyncEntity('expenses'), req.params.id, req.scope)
+            );
+
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error, ...result.details });
+            }
 
             res.json({ message: 'Expense deleted successfully' });
         } catch (error) {
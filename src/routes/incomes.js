@@ -0,0 +1,302 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { body, param, query } from 'express-validator';
+import { validate } from '../middleware/validation.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { deleteSyncRecord, findSyncEntity } from '../utils/syncEntities.js';
+import { personalScope } from '../utils/scope.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const INCOME_SCOPES = ['BUSINESS', 'PERSONAL'];
+
+/**
+ * @swagger
+ * /api/incomes:
+ *   post:
+ *     summary: Register an income (personal or business, not sales)
+ *     tags: [Incomes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - description
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               scope:
+ *                 type: string
+ *                 enum: [BUSINESS, PERSONAL]
+ *                 default: PERSONAL
+ *               description:
+ *                 type: string
+ *               incomeDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Income created successfully
+ */
+router.post(
+    '/',
+    authenticateToken,
+    [
+        body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+        body('scope').optional().isIn(INCOME_SCOPES),
+        body('description').trim().notEmpty().withMessage('Description required'),
+        body('incomeDate').optional().isISO8601(),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { amount, scope, description, incomeDate } = req.body;
+
+            const income = await prisma.income.create({
+                data: {
+                    amount,
+                    scope,
+                    description,
+                    userId: req.user.id,
+                    ...(incomeDate && { incomeDate: new Date(incomeDate) }),
+                },
+            });
+
+            res.status(201).json({
+                message: 'Income created successfully',
+                income,
+            });
+        } catch (error) {
+            console.error('Create income error:', error);
+            res.status(500).json({ error: 'Failed to create income' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/incomes:
+ *   get:
+ *     summary: Get incomes
+ *     tags: [Incomes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [BUSINESS, PERSONAL]
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxAmount
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: List of incomes with their total
+ */
+router.get(
+    '/',
+    authenticateToken,
+    [
+        query('scope').optional().isIn(INCOME_SCOPES),
+        query('startDate').optional().isISO8601(),
+        query('endDate').optional().isISO8601(),
+        query('minAmount').optional().isFloat({ min: 0 }),
+        query('maxAmount').optional().isFloat({ min: 0 }),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { scope, startDate, endDate, minAmount, maxAmount } = req.query;
+
+            const where = { userId: req.user.id };
+
+            if (scope) {
+                where.scope = scope;
+            }
+
+            if (startDate || endDate) {
+                where.incomeDate = {
+                    ...(startDate && { gte: new Date(startDate) }),
+                    ...(endDate && { lte: new Date(endDate) }),
+                };
+            }
+
+            if (minAmount !== undefined || maxAmount !== undefined) {
+                where.amount = {
+                    ...(minAmount !== undefined && { gte: parseFloat(minAmount) }),
+                    ...(maxAmount !== undefined && { lte: parseFloat(maxAmount) }),
+                };
+            }
+
+            const [incomes, total] = await Promise.all([
+                prisma.income.findMany({
+                    where,
+                    orderBy: {
+                        incomeDate: 'desc',
+                    },
+                }),
+                prisma.income.aggregate({
+                    where,
+                    _sum: { amount: true },
+                }),
+            ]);
+
+            res.json({
+                incomes,
+                total: total._sum.amount || 0,
+            });
+        } catch (error) {
+            console.error('Get incomes error:', error);
+            res.status(500).json({ error: 'Failed to fetch incomes' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/incomes/{id}:
+ *   patch:
+ *     summary: Update income
+ *     tags: [Incomes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               scope:
+ *                 type: string
+ *                 enum: [BUSINESS, PERSONAL]
+ *               description:
+ *                 type: string
+ *               incomeDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Income updated successfully
+ */
+router.patch(
+    '/:id',
+    authenticateToken,
+    [
+        param('id').isUUID(),
+        body('amount').optional().isFloat({ gt: 0 }),
+        body('scope').optional().isIn(INCOME_SCOPES),
+        body('description').optional().trim().notEmpty(),
+        body('incomeDate').optional().isISO8601(),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { amount, scope, description, incomeDate } = req.body;
+
+            const income = await prisma.income.updateMany({
+                where: {
+                    id: req.params.id,
+                    userId: req.user.id,
+                },
+                data: {
+                    ...(amount !== undefined && { amount }),
+                    ...(scope && { scope }),
+                    ...(description && { description }),
+                    ...(incomeDate && { incomeDate: new Date(incomeDate) }),
+                },
+            });
+
+            if (income.count === 0) {
+                return res.status(404).json({ error: 'Income not found' });
+            }
+
+            const updatedIncome = await prisma.income.findUnique({
+                where: { id: req.params.id },
+            });
+
+            res.json({
+                message: 'Income updated successfully',
+                income: updatedIncome,
+            });
+        } catch (error) {
+            console.error('Update income error:', error);
+            res.status(500).json({ error: 'Failed to update income' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/incomes/{id}:
+ *   delete:
+ *     summary: Delete income
+ *     tags: [Incomes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Income deleted successfully
+ *       404:
+ *         description: Income not found
+ */
+router.delete(
+    '/:id',
+    authenticateToken,
+    [param('id').isUUID()],
+    validate,
+    async (req, res) => {
+        try {
+            const result = await prisma.$transaction(
+                (tx) => deleteSyncRecord(tx, findSyncEntity('incomes'), req.params.id, personalScope(req.user))
+            );
+
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error, ...result.details });
+            }
+
+            res.json({ message: 'Income deleted successfully' });
+        } catch (error) {
+            console.error('Delete income error:', error);
+            res.status(500).json({ error: 'Failed to delete income' });
+        }
+    }
+);
+
+export default router;
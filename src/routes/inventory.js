@@ -0,0 +1,156 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { param, query } from 'express-validator';
+import { validate } from '../middleware/validation.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { resolveScope } from '../middleware/scope.js';
+import { calculateStock, buildStockLedger } from '../utils/inventoryHelpers.js';
+import { scopeWhere } from '../utils/scope.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+/**
+ * @swagger
+ * /api/inventory:
+ *   get:
+ *     summary: Get stock on hand per product
+ *     description: Stock = deliveries + adjustments - losses - sales (cancelled sales excluded)
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Stock per product
+ */
+router.get('/', authenticateToken, resolveScope, async (req, res) => {
+    try {
+        const products = await prisma.product.findMany({
+            where: scopeWhere(req.scope),
+            orderBy: { name: 'asc' },
+        });
+
+        const inventory = await Promise.all(
+            products.map(async (product) => ({
+                product: {
+                    id: product.id,
+                    name: product.name,
+                    unit: product.unit,
+                },
+                ...(await calculateStock(prisma, req.scope, product.id)),
+            }))
+        );
+
+        res.json({ inventory });
+    } catch (error) {
+        console.error('Get inventory error:', error);
+        res.status(500).json({ error: 'Failed to fetch inventory' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/inventory/{productId}/ledger:
+ *   get:
+ *     summary: Get the chronological stock ledger of a product
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Ledger entries with running balance
+ *       404:
+ *         description: Product not found
+ */
+router.get(
+    '/:productId/ledger',
+    authenticateToken,
+    resolveScope,
+    [
+        param('productId').isUUID(),
+        query('startDate').optional().isISO8601(),
+        query('endDate').optional().isISO8601(),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { startDate, endDate } = req.query;
+
+            const product = await prisma.product.findFirst({
+                where: {
+                    id: req.params.productId,
+                    ...scopeWhere(req.scope),
+                },
+            });
+
+            if (!product) {
+                return res.status(404).json({ error: 'Product not found' });
+            }
+
+            const until = endDate ? { lte: new Date(endDate) } : undefined;
+
+            const [productMovements, sales] = await Promise.all([
+                prisma.productMovement.findMany({
+                    where: {
+                        operation: { ...scopeWhere(req.scope), productId: product.id },
+                        ...(until && { movementDate: until }),
+                    },
+                    include: {
+                        operation: {
+                            select: { operationNumber: true },
+                        },
+                    },
+                }),
+                prisma.sale.findMany({
+                    where: {
+                        ...scopeWhere(req.scope),
+                        productId: product.id,
+                        ...(until && { saleDate: until }),
+                    },
+                    include: {
+                        client: {
+                            select: { name: true },
+                        },
+                    },
+                }),
+            ]);
+
+            // Entries before startDate only feed the opening balance
+            const ledger = buildStockLedger(productMovements, sales);
+            const from = startDate ? new Date(startDate) : null;
+            const previous = from ? ledger.filter((entry) => new Date(entry.date) < from) : [];
+            const entries = from ? ledger.filter((entry) => new Date(entry.date) >= from) : ledger;
+
+            const openingBalance = previous.length > 0 ? previous[previous.length - 1].balance : 0;
+            const closingBalance = ledger.length > 0 ? ledger[ledger.length - 1].balance : 0;
+
+            res.json({
+                product,
+                openingBalance,
+                closingBalance,
+                entries,
+            });
+        } catch (error) {
+            console.error('Get inventory ledger error:', error);
+            res.status(500).json({ error: 'Failed to fetch inventory ledger' });
+        }
+    }
+);
+
+export default router;
@@ -0,0 +1,911 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { body, param, query } from 'express-validator';
+import { validate } from '../middleware/validation.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { resolveScope, requirePermission } from '../middleware/scope.js';
+import {
+    generateContractNumber,
+    calculateSettlement,
+    movementAmountError,
+    checkMovementWeights,
+} from '../utils/transactionHelpers.js';
+import { isSettled, recordStatusChange, findOpenOperation } from '../utils/operationLifecycle.js';
+import { scopeData, scopeWhere } from '../utils/scope.js';
+import { hasPermission } from '../utils/permissions.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const MONEY_MOVEMENT_TYPES = ['ADVANCE', 'PAYMENT', 'ADJUSTMENT', 'DISCOUNT'];
+const PRODUCT_MOVEMENT_TYPES = ['DELIVERY', 'ADJUSTMENT', 'LOSS'];
+const PAYMENT_METHODS = ['CASH', 'TRANSFER'];
+
+/**
+ * Adjustments may be negative (corrections); every other movement must be positive
+ */
+const signedForAdjustment = (value, { req }) => {
+    const error = movementAmountError(req.body.movementType, value);
+
+    if (error) {
+        throw new Error(error);
+    }
+
+    return true;
+};
+
+/**
+ * @swagger
+ * /api/operations:
+ *   post:
+ *     summary: Create a new purchase operation
+ *     tags: [Operations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - providerId
+ *               - productId
+ *               - pricePerUnit
+ *             properties:
+ *               providerId:
+ *                 type: string
+ *               productId:
+ *                 type: string
+ *               pricePerUnit:
+ *                 type: number
+ *               agreedQuantity:
+ *                 type: number
+ *               operationDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Operation created successfully
+ *       404:
+ *         description: Provider or product not found
+ */
+router.post(
+    '/',
+    authenticateToken,
+    resolveScope,
+    requirePermission('operation.manage'),
+    [
+        body('providerId').isUUID().withMessage('Valid provider ID required'),
+        body('productId').isUUID().withMessage('Valid product ID required'),
+        body('pricePerUnit').isFloat({ min: 0 }).withMessage('Price per unit must be 0 or greater'),
+        body('agreedQuantity').optional({ nullable: true }).isFloat({ min: 0 }),
+        body('operationDate').optional().isISO8601(),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { providerId, productId, pricePerUnit, agreedQuantity, operationDate } = req.body;
+
+            // Verify provider and product ownership
+            const [provider, product] = await Promise.all([
+                prisma.provider.findFirst({ where: { id: providerId, ...scopeWhere(req.scope) } }),
+                prisma.product.findFirst({ where: { id: productId, ...scopeWhere(req.scope) } }),
+            ]);
+
+            if (!provider) {
+                return res.status(404).json({ error: 'Provider not found' });
+            }
+
+            if (!product) {
+                return res.status(404).json({ error: 'Product not found' });
+            }
+
+            const operation = await prisma.$transaction(async (tx) => {
+                const created = await tx.operation.create({
+                    data: {
+                        operationNumber: generateContractNumber(),
+                        pricePerUnit,
+                        agreedQuantity,
+                        providerId,
+                        productId,
+                        ...scopeData(req.scope),
+                        ...(operationDate && { operationDate: new Date(operationDate) }),
+                    },
+                    include: {
+                        provider: true,
+                        product: true,
+                    },
+                });
+
+                await recordStatusChange(tx, {
+                    operationId: created.id,
+                    toStatus: 'OPEN',
+                    changedById: req.user.id,
+                });
+
+                return created;
+            });
+
+            res.status(201).json({
+                message: 'Operation created successfully',
+                operation,
+            });
+        } catch (error) {
+            console.error('Create operation error:', error);
+            res.status(500).json({ error: 'Failed to create operation' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/operations:
+ *   get:
+ *     summary: Get all operations
+ *     tags: [Operations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [OPEN, CLOSED]
+ *       - in: query
+ *         name: providerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of operations
+ */
+router.get(
+    '/',
+    authenticateToken,
+    resolveScope,
+    [
+        query('status').optional().isIn(['OPEN', 'CLOSED']),
+        query('providerId').optional().isUUID(),
+        query('productId').optional().isUUID(),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { status, providerId, productId, search } = req.query;
+
+            const where = scopeWhere(req.scope);
+
+            if (status) {
+                where.status = status;
+            }
+
+            if (providerId) {
+                where.providerId = providerId;
+            }
+
+            if (productId) {
+                where.productId = productId;
+            }
+
+            if (search) {
+                where.OR = [
+                    { operationNumber: { contains: search, mode: 'insensitive' } },
+                    { provider: { name: { contains: search, mode: 'insensitive' } } },
+                ];
+            }
+
+            const operations = await prisma.operation.findMany({
+                where,
+                include: {
+                    provider: {
+                        select: {
+                            id: true,
+                            name: true,
+                        },
+                    },
+                    product: {
+                        select: {
+                            id: true,
+                            name: true,
+                            unit: true,
+                        },
+                    },
+                    _count: {
+                        select: {
+                            moneyMovements: true,
+                            productMovements: true,
+                            expenses: true,
+                        },
+                    },
+                },
+                orderBy: {
+                    operationDate: 'desc',
+                },
+            });
+
+            res.json({ operations });
+        } catch (error) {
+            console.error('Get operations error:', error);
+            res.status(500).json({ error: 'Failed to fetch operations' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/operations/{id}:
+ *   get:
+ *     summary: Get operation by ID with all movements and its settlement
+ *     tags: [Operations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Operation details and settlement (what we owe the provider or the provider owes us)
+ *       404:
+ *         description: Operation not found
+ */
+router.get(
+    '/:id',
+    authenticateToken,
+    resolveScope,
+    [param('id').isUUID()],
+    validate,
+    async (req, res) => {
+        try {
+            const operation = await prisma.operation.findFirst({
+                where: {
+                    id: req.params.id,
+                    ...scopeWhere(req.scope),
+                },
+                include: {
+                    provider: true,
+                    product: true,
+                    user: {
+                        select: {
+                            id: true,
+                            email: true,
+                            name: true,
+                        },
+                    },
+                    moneyMovements: {
+                        orderBy: {
+                            movementDate: 'desc',
+                        },
+                    },
+                    productMovements: {
+                        orderBy: {
+                            movementDate: 'desc',
+                        },
+                    },
+                    expenses: {
+                        orderBy: {
+                            expenseDate: 'desc',
+                        },
+                    },
+                    statusChanges: {
+                        include: {
+                            changedBy: {
+                                select: {
+                                    id: true,
+                                    email: true,
+                                    name: true,
+                                },
+                            },
+                        },
+                        orderBy: {
+                            createdAt: 'desc',
+                        },
+                    },
+                },
+            });
+
+            if (!operation) {
+                return res.status(404).json({ error: 'Operation not found' });
+            }
+
+            const settlement = calculateSettlement(
+                operation,
+                operation.moneyMovements,
+                operation.productMovements,
+                operation.expenses
+            );
+
+            res.json({
+                operation,
+                settlement,
+            });
+        } catch (error) {
+            console.error('Get operation error:', error);
+            res.status(500).json({ error: 'Failed to fetch operation' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/operations/{id}:
+ *   patch:
+ *     summary: Update an open operation
+ *     tags: [Operations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               pricePerUnit:
+ *                 type: number
+ *               agreedQuantity:
+ *                 type: number
+ *               operationDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Operation updated successfully
+ *       403:
+ *         description: Changing pricePerUnit requires the price.edit permission
+ *       404:
+ *         description: Operation not found
+ *       409:
+ *         description: Operation is closed
+ */
+router.patch(
+    '/:id',
+    authenticateToken,
+    resolveScope,
+    requirePermission('operation.manage'),
+    [
+        param('id').isUUID(),
+        body('pricePerUnit').optional().isFloat({ min: 0 }),
+        body('agreedQuantity').optional({ nullable: true }).isFloat({ min: 0 }),
+        body('operationDate').optional().isISO8601(),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { pricePerUnit, agreedQuantity, operationDate } = req.body;
+
+            if (pricePerUnit !== undefined && !hasPermission(req.scope, 'price.edit')) {
+                return res.status(403).json({ error: 'Permission required: price.edit' });
+            }
+
+            // Only allow editing open operations
+            const { error, status } = await prisma.$transaction(async (tx) => {
+                const open = await findOpenOperation(tx, req.scope, req.params.id);
+
+                if (open.error) {
+                    return open;
+                }
+
+                await tx.operation.update({
+                    where: { id: req.params.id },
+                    data: {
+                        ...(pricePerUnit !== undefined && { pricePerUnit }),
+                        ...(agreedQuantity !== undefined && { agreedQuantity }),
+                        ...(operationDate !== undefined && { operationDate: new Date(operationDate) }),
+                    },
+                });
+
+                return open;
+            });
+
+            if (error) {
+                return res.status(status).json({ error });
+            }
+
+            const operation = await prisma.operation.findUnique({
+                where: { id: req.params.id },
+                include: {
+                    provider: true,
+                    product: true,
+                },
+            });
+
+            res.json({
+                message: 'Operation updated successfully',
+                operation,
+            });
+        } catch (error) {
+            console.error('Update operation error:', error);
+            res.status(500).json({ error: 'Failed to update operation' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/operations/{id}/close:
+ *   post:
+ *     summary: Close an operation
+ *     description: |
+ *       Closing requires the operation to be settled with the provider. If a balance is
+ *       pending, send a settlement movement that clears it, or force the close with a reason.
+ *     tags: [Operations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               settlement:
+ *                 type: object
+ *                 description: Money movement registered before closing to settle the balance
+ *                 properties:
+ *                   amount:
+ *                     type: number
+ *                   movementType:
+ *                     type: string
+ *                     enum: [PAYMENT, ADJUSTMENT, DISCOUNT]
+ *                   paymentMethod:
+ *                     type: string
+ *                     enum: [CASH, TRANSFER]
+ *                   description:
+ *                     type: string
+ *               force:
+ *                 type: boolean
+ *                 description: Close even if a balance is still pending
+ *               reason:
+ *                 type: string
+ *                 description: Required when forcing the close
+ *     responses:
+ *       200:
+ *         description: Operation closed successfully
+ *       404:
+ *         description: Operation not found
+ *       409:
+ *         description: Operation already closed or balance pending
+ */
+router.post(
+    '/:id/close',
+    authenticateToken,
+    resolveScope,
+    requirePermission('operation.close'),
+    [
+        param('id').isUUID(),
+        body('settlement').optional().isObject(),
+        body('settlement.movementType')
+            .if(body('settlement').exists())
+            .isIn(['PAYMENT', 'ADJUSTMENT', 'DISCOUNT']),
+        body('settlement.amount')
+            .if(body('settlement').exists())
+            .isFloat()
+            .bail()
+            .custom((value, { req }) => signedForAdjustment(value, { req: { body: req.body.settlement } })),
+        body('settlement.paymentMethod').optional().isIn(PAYMENT_METHODS),
+        body('settlement.description').optional().trim(),
+        body('force').optional().isBoolean().toBoolean(),
+        body('reason').optional().trim(),
+        body('reason')
+            .if(body('force').equals('true'))
+            .notEmpty()
+            .withMessage('Reason required when forcing the close'),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { settlement: settlementMovement, force = false, reason } = req.body;
+
+            const result = await prisma.$transaction(async (tx) => {
+                const { operation, error, status } = await findOpenOperation(tx, req.scope, req.params.id);
+
+                if (error) {
+                    return { status, body: { error } };
+                }
+
+                if (settlementMovement) {
+                    await tx.moneyMovement.create({
+                        data: {
+                            amount: settlementMovement.amount,
+                            movementType: settlementMovement.movementType,
+                            paymentMethod: settlementMovement.paymentMethod,
+                            description: settlementMovement.description || 'Liquidación',
+                            operationId: operation.id,
+                        },
+                    });
+                }
+
+                const [moneyMovements, productMovements] = await Promise.all([
+                    tx.moneyMovement.findMany({ where: { operationId: operation.id } }),
+                    tx.productMovement.findMany({ where: { operationId: operation.id } }),
+                ]);
+                const settlement = calculateSettlement(operation, moneyMovements, productMovements);
+                const settled = isSettled(settlement);
+
+                if (!settled && !force) {
+                    // Roll back the settlement movement, if any
+                    const pending = {
+                        status: 409,
+                        body: {
+                            error: 'Operation has a pending balance',
+                            settlement,
+                        },
+                    };
+                    throw Object.assign(new Error('Pending balance'), { pending });
+                }
+
+                const closed = await tx.operation.update({
+                    where: { id: operation.id },
+                    data: {
+                        status: 'CLOSED',
+                        closedAt: new Date(),
+                    },
+                });
+
+                await recordStatusChange(tx, {
+                    operationId: operation.id,
+                    fromStatus: 'OPEN',
+                    toStatus: 'CLOSED',
+                    changedById: req.user.id,
+                    reason,
+                    pendingBalance: settlement.balance,
+                    forced: !settled,
+                });
+
+                return {
+                    status: 200,
+                    body: {
+                        message: 'Operation closed successfully',
+                        operation: closed,
+                        settlement,
+                    },
+                };
+            });
+
+            res.status(result.status).json(result.body);
+        } catch (error) {
+            if (error.pending) {
+                return res.status(error.pending.status).json(error.pending.body);
+            }
+            console.error('Close operation error:', error);
+            res.status(500).json({ error: 'Failed to close operation' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/operations/{id}/reopen:
+ *   post:
+ *     summary: Reopen a closed operation (admin only)
+ *     tags: [Operations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Operation reopened successfully
+ *       403:
+ *         description: Permission operation.reopen required
+ *       404:
+ *         description: Operation not found or not closed
+ */
+router.post(
+    '/:id/reopen',
+    authenticateToken,
+    resolveScope,
+    requirePermission('operation.reopen'),
+    [
+        param('id').isUUID(),
+        body('reason').trim().notEmpty().withMessage('Reason required'),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { reason } = req.body;
+
+            const reopened = await prisma.$transaction(async (tx) => {
+                // Only one of concurrent reopens finds the operation still closed
+                const { count } = await tx.operation.updateMany({
+                    where: {
+                        id: req.params.id,
+                        ...scopeWhere(req.scope),
+                        status: 'CLOSED',
+                    },
+                    data: {
+                        status: 'OPEN',
+                        closedAt: null,
+                    },
+                });
+
+                if (count === 0) {
+                    return null;
+                }
+
+                await recordStatusChange(tx, {
+                    operationId: req.params.id,
+                    fromStatus: 'CLOSED',
+                    toStatus: 'OPEN',
+                    changedById: req.user.id,
+                    reason,
+                });
+
+                return tx.operation.findUnique({ where: { id: req.params.id } });
+            });
+
+            if (!reopened) {
+                return res.status(404).json({ error: 'Operation not found or not closed' });
+            }
+
+            res.json({
+                message: 'Operation reopened successfully',
+                operation: reopened,
+            });
+        } catch (error) {
+            console.error('Reopen operation error:', error);
+            res.status(500).json({ error: 'Failed to reopen operation' });
+        }
+    }
+);
+
+// ============================================
+// MONEY MOVEMENTS
+// ============================================
+
+/**
+ * @swagger
+ * /api/operations/{id}/money-movements:
+ *   post:
+ *     summary: Add a money movement (advance, payment, adjustment, discount)
+ *     tags: [Operations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - movementType
+ *               - description
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Must be positive, except ADJUSTMENT which may be negative
+ *               movementType:
+ *                 type: string
+ *                 enum: [ADVANCE, PAYMENT, ADJUSTMENT, DISCOUNT]
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [CASH, TRANSFER]
+ *               description:
+ *                 type: string
+ *               movementDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Money movement added successfully
+ *       404:
+ *         description: Operation not found
+ *       409:
+ *         description: Operation is closed
+ */
+router.post(
+    '/:id/money-movements',
+    authenticateToken,
+    resolveScope,
+    requirePermission('movement.record'),
+    [
+        param('id').isUUID(),
+        body('movementType').isIn(MONEY_MOVEMENT_TYPES).withMessage('Invalid movement type'),
+        body('amount').isFloat().withMessage('Amount must be a number').bail().custom(signedForAdjustment),
+        body('paymentMethod').optional().isIn(PAYMENT_METHODS),
+        body('description').trim().notEmpty().withMessage('Description required'),
+        body('movementDate').optional().isISO8601(),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { amount, movementType, paymentMethod, description, movementDate } = req.body;
+
+            // Verify operation ownership; closed operations are locked
+            const { error, status, moneyMovement } = await prisma.$transaction(async (tx) => {
+                const open = await findOpenOperation(tx, req.scope, req.params.id);
+
+                if (open.error) {
+                    return open;
+                }
+
+                return {
+                    moneyMovement: await tx.moneyMovement.create({
+                        data: {
+                            amount,
+                            movementType,
+                            paymentMethod,
+                            description,
+                            operationId: req.params.id,
+                            ...(movementDate && { movementDate: new Date(movementDate) }),
+                        },
+                    }),
+                };
+            });
+
+            if (error) {
+                return res.status(status).json({ error });
+            }
+
+            res.status(201).json({
+                message: 'Money movement added successfully',
+                moneyMovement,
+            });
+        } catch (error) {
+            console.error('Add money movement error:', error);
+            res.status(500).json({ error: 'Failed to add money movement' });
+        }
+    }
+);
+
+// ============================================
+// PRODUCT MOVEMENTS
+// ============================================
+
+/**
+ * @swagger
+ * /api/operations/{id}/product-movements:
+ *   post:
+ *     summary: Add a product movement (delivery, adjustment, loss)
+ *     description: netWeight may be omitted when grossWeight is given; it is then computed as grossWeight - tare.
+ *     tags: [Operations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - movementType
+ *               - description
+ *             properties:
+ *               movementType:
+ *                 type: string
+ *                 enum: [DELIVERY, ADJUSTMENT, LOSS]
+ *               netWeight:
+ *                 type: number
+ *               grossWeight:
+ *                 type: number
+ *               tare:
+ *                 type: number
+ *               description:
+ *                 type: string
+ *               movementDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Product movement added successfully
+ *       400:
+ *         description: Inconsistent weights
+ *       404:
+ *         description: Operation not found
+ *       409:
+ *         description: Operation is closed
+ */
+router.post(
+    '/:id/product-movements',
+    authenticateToken,
+    resolveScope,
+    requirePermission('movement.record'),
+    [
+        param('id').isUUID(),
+        body('movementType').isIn(PRODUCT_MOVEMENT_TYPES).withMessage('Invalid movement type'),
+        body('netWeight').optional().isFloat().bail().custom(signedForAdjustment),
+        body('grossWeight').optional().isFloat({ min: 0 }),
+        body('tare').optional().isFloat({ min: 0 }),
+        body('description').trim().notEmpty().withMessage('Description required'),
+        body('movementDate').optional().isISO8601(),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { movementType, netWeight, grossWeight, tare, description, movementDate } = req.body;
+
+            const weights = checkMovementWeights({ movementType, netWeight, grossWeight, tare });
+
+            if (weights.error) {
+                return res.status(400).json(weights);
+            }
+
+            // Verify operation ownership; closed operations are locked
+            const { error, status, productMovement } = await prisma.$transaction(async (tx) => {
+                const open = await findOpenOperation(tx, req.scope, req.params.id);
+
+                if (open.error) {
+                    return open;
+                }
+
+                return {
+                    productMovement: await tx.productMovement.create({
+                        data: {
+                            netWeight: weights.netWeight,
+                            grossWeight,
+                            tare,
+                            movementType,
+                            description,
+                            operationId: req.params.id,
+                            ...(movementDate && { movementDate: new Date(movementDate) }),
+                        },
+                    }),
+                };
+            });
+
+            if (error) {
+                return res.status(status).json({ error });
+            }
+
+            res.status(201).json({
+                message: 'Product movement added successfully',
+                productMovement,
+            });
+        } catch (error) {
+            console.error('Add product movement error:', error);
+            res.status(500).json({ error: 'Failed to add product movement' });
+        }
+    }
+);
+
+export default router;
@@ -2,11 +2,158 @@ import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { body, param } from 'express-validator';
 import { validate } from '../middleware/validation.js';
-import { authenticateToken, requireAdmin, checkOrganizationAccess, requireOrganizationAdmin } from '../middleware/auth.js';
+import {
+    authenticateToken,
+    checkOrganizationAccess,
+    requireOrganizationPermission,
+    requireOrganizationOwner,
+    requireVerifiedEmail,
+} from '../middleware/auth.js';
+import { createDefaultProducts } from '../utils/productHelpers.js';
+import { PERMISSIONS, PERMISSION_NAMES, ROLE_PERMISSIONS } from '../utils/permissions.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { sendOrganizationInvitationEmail } from '../utils/emailService.js';
+import { exportOrganizationData, deleteOrganizationData, ORGANIZATION_DELETE_TIMEOUT } from '../utils/organizationData.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const memberInclude = {
+    user: {
+        select: {
+            id: true,
+            email: true,
+            name: true,
+        },
+    },
+    customRole: {
+        select: {
+            id: true,
+            name: true,
+        },
+    },
+};
+
+const INVITATION_EXPIRY_DAYS = 7;
+
+// Never expose the token hash
+const invitationSelect = {
+    id: true,
+    email: true,
+    role: true,
+    customRole: {
+        select: {
+            id: true,
+            name: true,
+        },
+    },
+    expiresAt: true,
+    invitedBy: {
+        select: {
+            id: true,
+            email: true,
+            name: true,
+        },
+    },
+    createdAt: true,
+    updatedAt: true,
+};
+
+const invitationExpiry = () => new Date(Date.now() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+const sameEmail = (email) => ({ equals: email, mode: 'insensitive' });
+
+/**
+ * Email a stored invitation token, in the language of the member who sends it
+ * Sent after the invitation is committed; when the email fails the invitation is revoked,
+ * so no stored invitation is left without its link
+ */
+const sendInvitation = async (invitation, organizationId, inviter, inviteToken) => {
+    const organization = await prisma.organization.findUnique({
+        where: { id: organizationId },
+        select: { name: true },
+    });
+
+    try {
+        await sendOrganizationInvitationEmail(invitation.email, {
+            inviterName: inviter.name,
+            organizationName: organization.name,
+            inviteToken,
+            expiresInDays: INVITATION_EXPIRY_DAYS,
+        }, inviter.language);
+    } catch (error) {
+        await prisma.organizationInvitation.update({
+            where: { id: invitation.id },
+            data: { revokedAt: new Date() },
+        });
+        throw error;
+    }
+};
+
+/**
+ * Find a custom role of the organization
+ */
+const findOrganizationRole = (organizationId, roleId) => prisma.organizationRole.findFirst({
+    where: { id: roleId, organizationId },
+});
+
+const findMember = (organizationId, userId) => prisma.organizationMember.findUnique({
+    where: {
+        userId_organizationId: { userId, organizationId },
+    },
+    include: {
+        organization: {
+            select: { ownerId: true },
+        },
+    },
+});
+
+/**
+ * Admins keep the built-in permissions unless a custom role replaces them
+ */
+const isFullAdmin = (member) => member.role === 'ADMIN' && !member.customRoleId;
+
+const countFullAdmins = (organizationId) => prisma.organizationMember.count({
+    where: {
+        organizationId,
+        role: 'ADMIN',
+        customRoleId: null,
+    },
+});
+
+/**
+ * Whether a membership gives admin rights: the ADMIN role (its custom role can be removed)
+ * or a custom role with member.manage
+ */
+const grantsAdminRights = async (organizationId, { role, customRoleId }) => {
+    if (role === 'ADMIN') {
+        return true;
+    }
+
+    if (!customRoleId) {
+        return ROLE_PERMISSIONS[role].includes('member.manage');
+    }
+
+    const customRole = await findOrganizationRole(organizationId, customRoleId);
+    return Boolean(customRole?.permissions.includes('member.manage'));
+};
+
+/**
+ * Only the owner and full admins hand out admin rights, so members managing others
+ * through a custom role cannot raise their own access or anyone else's
+ */
+const canGrantAdminRights = (req) => req.organizationMembership.organization.ownerId === req.user.id
+    || isFullAdmin(req.organizationMembership);
+
+const ADMIN_RIGHTS_REQUIRED = 'Only the owner or a full admin can grant admin rights';
+
+/**
+ * Skip a guard when members act on their own membership (leaving the organization)
+ */
+const unlessSelf = (middleware) => (req, res, next) => (
+    req.params.userId === req.user.id ? next() : middleware(req, res, next)
+);
+
 /**
  * @swagger
  * /api/organizations:
@@ -33,10 +180,13 @@ const prisma = new PrismaClient();
  *         description: Organization created successfully
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Email verification required
  */
 router.post(
     '/',
     authenticateToken,
+    requireVerifiedEmail,
     [
         body('name').trim().notEmpty().withMessage('Organization name required'),
         body('description').optional().trim(),
@@ -50,7 +200,7 @@ router.post(
                 data: {
                     name,
                     description,
-                    createdById: req.user.id,
+                    ownerId: req.user.id,
                     members: {
                         create: {
                             userId: req.user.id,
@@ -59,13 +209,6 @@ router.post(
                     },
                 },
                 include: {
-                    createdBy: {
-                        select: {
-                            id: true,
-                            email: true,
-                            name: true,
-                        },
-                    },
                     members: {
                         include: {
                             user: {
@@ -80,6 +223,8 @@ router.post(
                 },
             });
 
+            await createDefaultProducts(prisma, { userId: req.user.id, organizationId: organization.id });
+
             res.status(201).json({
                 message: 'Organization created successfully',
                 organization,
@@ -107,19 +252,9 @@ router.get('/', authenticateToken, async (req, res) => {
     try {
         const organizations = await prisma.organization.findMany({
             where: {
-                OR: [
-                    { createdById: req.user.id },
-                    { members: { some: { userId: req.user.id } } },
-                ],
+                members: { some: { userId: req.user.id } },
             },
             include: {
-                createdBy: {
-                    select: {
-                        id: true,
-                        email: true,
-                        name: true,
-                    },
-                },
                 members: {
                     include: {
                         user: {
@@ -133,8 +268,12 @@ router.get('/', authenticateToken, async (req, res) => {
                 },
                 _count: {
                     select: {
-                        transactions: true,
                         providers: true,
+                        clients: true,
+                        products: true,
+                        operations: true,
+                        sales: true,
+                        expenses: true,
                     },
                 },
             },
@@ -147,6 +286,125 @@ router.get('/', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/organizations/invitations/accept:
+ *   post:
+ *     summary: Accept an organization invitation
+ *     description: The invitee registers (or logs in) with the invited email, then sends the emailed token
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Invitation accepted, the user is now a member
+ *       400:
+ *         description: Invalid or expired invitation
+ *       403:
+ *         description: Invitation was sent to another email, or email verification required
+ *       409:
+ *         description: User is already a member
+ */
+router.post(
+    '/invitations/accept',
+    authenticateToken,
+    requireVerifiedEmail,
+    [body('token').notEmpty().withMessage('Token required')],
+    validate,
+    async (req, res) => {
+        try {
+            const invitation = await prisma.organizationInvitation.findUnique({
+                where: { tokenHash: hashToken(req.body.token) },
+            });
+
+            if (!invitation || invitation.acceptedAt || invitation.revokedAt) {
+                return res.status(400).json({ error: 'Invalid invitation' });
+            }
+
+            if (invitation.expiresAt <= new Date()) {
+                return res.status(400).json({ error: 'Invitation expired' });
+            }
+
+            if (invitation.email.toLowerCase() !== req.user.email.toLowerCase()) {
+                return res.status(403).json({ error: 'Invitation was sent to another email' });
+            }
+
+            const existingMember = await prisma.organizationMember.findUnique({
+                where: {
+                    userId_organizationId: {
+                        userId: req.user.id,
+                        organizationId: invitation.organizationId,
+                    },
+                },
+            });
+
+            if (existingMember) {
+                return res.status(409).json({ error: 'User is already a member' });
+            }
+
+            const member = await prisma.$transaction(async (tx) => {
+                // Claimed once, even with concurrent requests
+                const claimed = await tx.organizationInvitation.updateMany({
+                    where: {
+                        id: invitation.id,
+                        acceptedAt: null,
+                        revokedAt: null,
+                    },
+                    data: { acceptedAt: new Date() },
+                });
+
+                if (claimed.count === 0) {
+                    return null;
+                }
+
+                return tx.organizationMember.create({
+                    data: {
+                        userId: req.user.id,
+                        organizationId: invitation.organizationId,
+                        role: invitation.role,
+                        customRoleId: invitation.customRoleId,
+                    },
+                    include: {
+                        ...memberInclude,
+                        organization: {
+                            select: {
+                                id: true,
+                                name: true,
+                            },
+                        },
+                    },
+                });
+            });
+
+            if (!member) {
+                return res.status(400).json({ error: 'Invalid invitation' });
+            }
+
+            res.status(201).json({
+                message: 'Invitation accepted successfully',
+                member,
+            });
+        } catch (error) {
+            if (error.code === 'P2002') {
+                return res.status(409).json({ error: 'User is already a member' });
+            }
+            console.error('Accept invitation error:', error);
+            res.status(500).json({ error: 'Failed to accept invitation' });
+        }
+    }
+);
+
 /**
  * @swagger
  * /api/organizations/{id}:
@@ -180,13 +438,6 @@ router.get(
             const organization = await prisma.organization.findUnique({
                 where: { id: req.params.id },
                 include: {
-                    createdBy: {
-                        select: {
-                            id: true,
-                            email: true,
-                            name: true,
-                        },
-                    },
                     members: {
                         include: {
                             user: {
@@ -197,12 +448,22 @@ router.get(
                                     role: true,
                                 },
                             },
+                            customRole: {
+                                select: {
+                                    id: true,
+                                    name: true,
+                                },
+                            },
                         },
                     },
                     _count: {
                         select: {
-                            transactions: true,
                             providers: true,
+                            clients: true,
+                            products: true,
+                            operations: true,
+                            sales: true,
+                            expenses: true,
                         },
                     },
                 },
@@ -222,9 +483,10 @@ router.get(
 
 /**
  * @swagger
- * /api/organizations/{id}/members:
+ * /api/organizations/{id}/transfer-ownership:
  *   post:
- *     summary: Add member to organization
+ *     summary: Transfer the organization to another member
+ *     description: The new owner becomes an admin with the built-in permissions; the previous owner stays an admin
  *     tags: [Organizations]
  *     security:
  *       - bearerAuth: []
@@ -241,90 +503,83 @@ router.get(
  *           schema:
  *             type: object
  *             required:
- *               - email
+ *               - userId
  *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *               role:
+ *               userId:
  *                 type: string
- *                 enum: [ADMIN, OPERATOR]
  *     responses:
- *       201:
- *         description: Member added successfully
+ *       200:
+ *         description: Ownership transferred successfully
+ *       403:
+ *         description: Organization owner access required
+ *       404:
+ *         description: Member not found
  */
 router.post(
-    '/:id/members',
+    '/:id/transfer-ownership',
     authenticateToken,
     [
         param('id').isUUID().withMessage('Valid organization ID required'),
-        body('email').isEmail().withMessage('Valid email required'),
-        body('role').optional().isIn(['ADMIN', 'OPERATOR']),
+        body('userId').isUUID().withMessage('Valid user ID required'),
     ],
     validate,
     checkOrganizationAccess,
-    requireOrganizationAdmin,
+    requireOrganizationOwner,
     async (req, res) => {
         try {
-            const { email, role = 'OPERATOR' } = req.body;
-
-            // Find user by email
-            const user = await prisma.user.findUnique({
-                where: { email },
-            });
+            const { userId } = req.body;
 
-            if (!user) {
-                return res.status(404).json({ error: 'User not found' });
+            if (userId === req.user.id) {
+                return res.status(400).json({ error: 'You already own this organization' });
             }
 
-            // Check if already member
-            const existingMember = await prisma.organizationMember.findUnique({
-                where: {
-                    userId_organizationId: {
-                        userId: user.id,
-                        organizationId: req.params.id,
-                    },
-                },
-            });
+            const target = await findMember(req.params.id, userId);
 
-            if (existingMember) {
-                return res.status(409).json({ error: 'User is already a member' });
+            if (!target) {
+                return res.status(404).json({ error: 'Member not found' });
             }
 
-            // Add member
-            const member = await prisma.organizationMember.create({
-                data: {
-                    userId: user.id,
-                    organizationId: req.params.id,
-                    role,
-                },
-                include: {
-                    user: {
-                        select: {
-                            id: true,
-                            email: true,
-                            name: true,
+            const organization = await prisma.$transaction(async (tx) => {
+                await tx.organizationMember.update({
+                    where: { id: target.id },
+                    data: {
+                        role: 'ADMIN',
+                        customRoleId: null,
+                    },
+                });
+
+                return tx.organization.update({
+                    where: { id: req.params.id },
+                    data: { ownerId: userId },
+                    include: {
+                        owner: {
+                            select: {
+                                id: true,
+                                email: true,
+                                name: true,
+                            },
                         },
                     },
-                },
+                });
             });
 
-            res.status(201).json({
-                message: 'Member added successfully',
-                member,
+            res.json({
+                message: 'Ownership transferred successfully',
+                organization,
             });
         } catch (error) {
-            console.error('Add member error:', error);
-            res.status(500).json({ error: 'Failed to add member' });
+            console.error('Transfer ownership error:', error);
+            res.status(500).json({ error: 'Failed to transfer ownership' });
         }
     }
 );
 
 /**
  * @swagger
- * /api/organizations/{id}/members/{userId}:
- *   patch:
- *     summary: Update member role
+ * /api/organizations/{id}/export:
+ *   get:
+ *     summary: Export all the data of the organization
+ *     description: Members, roles and every record the organization owns, as JSON (download before deleting it)
  *     tags: [Organizations]
  *     security:
  *       - bearerAuth: []
@@ -334,8 +589,46 @@ router.post(
  *         required: true
  *         schema:
  *           type: string
+ *     responses:
+ *       200:
+ *         description: Organization data
+ *       403:
+ *         description: Organization owner access required
+ */
+router.get(
+    '/:id/export',
+    authenticateToken,
+    [param('id').isUUID().withMessage('Valid organization ID required')],
+    validate,
+    checkOrganizationAccess,
+    requireOrganizationOwner,
+    async (req, res) => {
+        try {
+            const data = await exportOrganizationData(prisma, req.params.id);
+
+            res.setHeader('Content-Disposition', `attachment; filename="organization-${req.params.id}.json"`);
+            res.json(data);
+        } catch (error) {
+            console.error('Export organization error:', error);
+            res.status(500).json({ error: 'Failed to export organization' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/organizations/{id}:
+ *   delete:
+ *     summary: Delete the organization with all its data
+ *     description: |
+ *       Only the owner can delete, confirming with the organization name. The response
+ *       carries a last export of the data, taken in the same transaction as the deletion.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
  *       - in: path
- *         name: userId
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
@@ -346,65 +639,63 @@ router.post(
  *           schema:
  *             type: object
  *             required:
- *               - role
+ *               - confirmName
  *             properties:
- *               role:
+ *               confirmName:
  *                 type: string
- *                 enum: [ADMIN, OPERATOR]
+ *                 description: Name of the organization
  *     responses:
  *       200:
- *         description: Role updated successfully
+ *         description: Organization deleted, with its data export
+ *       400:
+ *         description: Confirmation name does not match
+ *       403:
+ *         description: Organization owner access required
  */
-router.patch(
-    '/:id/members/:userId',
+router.delete(
+    '/:id',
     authenticateToken,
     [
-        param('id').isUUID(),
-        param('userId').isUUID(),
-        body('role').isIn(['ADMIN', 'OPERATOR']),
+        param('id').isUUID().withMessage('Valid organization ID required'),
+        body('confirmName').isString().withMessage('Confirmation name required'),
     ],
     validate,
     checkOrganizationAccess,
-    requireOrganizationAdmin,
+    requireOrganizationOwner,
     async (req, res) => {
         try {
-            const { role } = req.body;
+            const data = await prisma.$transaction(async (tx) => {
+                const exported = await exportOrganizationData(tx, req.params.id);
 
-            const member = await prisma.organizationMember.update({
-                where: {
-                    userId_organizationId: {
-                        userId: req.params.userId,
-                        organizationId: req.params.id,
-                    },
-                },
-                data: { role },
-                include: {
-                    user: {
-                        select: {
-                            id: true,
-                            email: true,
-                            name: true,
-                        },
-                    },
-                },
-            });
+                if (exported.organization.name !== req.body.confirmName) {
+                    return null;
+                }
+
+                await deleteOrganizationData(tx, req.params.id);
+
+                return exported;
+            }, { timeout: ORGANIZATION_DELETE_TIMEOUT });
+
+            if (!data) {
+                return res.status(400).json({ error: 'Confirmation name does not match the organization name' });
+            }
 
             res.json({
-                message: 'Role updated successfully',
-                member,
+                message: 'Organization deleted successfully',
+                export: data,
             });
         } catch (error) {
-            console.error('Update role error:', error);
-            res.status(500).json({ error: 'Failed to update role' });
+            console.error('Delete organization error:', error);
+            res.status(500).json({ error: 'Failed to delete organization' });
         }
     }
 );
 
 /**
  * @swagger
- * /api/organizations/{id}/members/{userId}:
- *   delete:
- *     summary: Remove member from organization
+ * /api/organizations/{id}/members:
+ *   post:
+ *     summary: Add member to organization
  *     tags: [Organizations]
  *     security:
  *       - bearerAuth: []
@@ -414,14 +705,249 @@ router.patch(
  *         required: true
  *         schema:
  *           type: string
- *       - in: path
- *         name: userId
- *         required: true
- *         schema:
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [ADMIN, OPERATOR]
+ *               roleId:
+ *                 type: string
+ *                 description: Custom role of the organization, its permissions replace the ones of role
+ *     responses:
+ *       201:
+ *         description: Member added successfully
+ *       403:
+ *         description: |
+ *           Email verification required (of the caller or of the added user), or granting admin
+ *           rights (ADMIN or member.manage) without being the owner or a full admin
+ *       404:
+ *         description: No account with that email (send an invitation instead)
+ */
+router.post(
+    '/:id/members',
+    authenticateToken,
+    requireVerifiedEmail,
+    [
+        param('id').isUUID().withMessage('Valid organization ID required'),
+        body('email').isEmail().withMessage('Valid email required'),
+        body('role').optional().isIn(['ADMIN', 'OPERATOR']),
+        body('roleId').optional().isUUID(),
+    ],
+    validate,
+    checkOrganizationAccess,
+    requireOrganizationPermission('member.manage'),
+    async (req, res) => {
+        try {
+            const { email, role = 'OPERATOR', roleId } = req.body;
+
+            if (roleId && !(await findOrganizationRole(req.params.id, roleId))) {
+                return res.status(404).json({ error: 'Role not found' });
+            }
+
+            if (!canGrantAdminRights(req) && await grantsAdminRights(req.params.id, { role, customRoleId: roleId })) {
+                return res.status(403).json({ error: ADMIN_RIGHTS_REQUIRED });
+            }
+
+            // Find user by email
+            const user = await prisma.user.findUnique({
+                where: { email },
+            });
+
+            if (!user) {
+                return res.status(404).json({ error: 'User not found, send an invitation instead' });
+            }
+
+            if (!user.emailVerifiedAt) {
+                return res.status(403).json({ error: 'The user must verify their email before joining an organization' });
+            }
+
+            // Check if already member
+            const existingMember = await prisma.organizationMember.findUnique({
+                where: {
+                    userId_organizationId: {
+                        userId: user.id,
+                        organizationId: req.params.id,
+                    },
+                },
+            });
+
+            if (existingMember) {
+                return res.status(409).json({ error: 'User is already a member' });
+            }
+
+            // Add member
+            const member = await prisma.organizationMember.create({
+                data: {
+                    userId: user.id,
+                    organizationId: req.params.id,
+                    role,
+                    customRoleId: roleId,
+                },
+                include: memberInclude,
+            });
+
+            res.status(201).json({
+                message: 'Member added successfully',
+                member,
+            });
+        } catch (error) {
+            console.error('Add member error:', error);
+            res.status(500).json({ error: 'Failed to add member' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/members/{userId}:
+ *   patch:
+ *     summary: Update member role
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [ADMIN, OPERATOR]
+ *               roleId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Custom role of the organization, null to go back to the built-in role
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       403:
+ *         description: Granting admin rights (ADMIN or member.manage) requires the owner or a full admin
+ *       404:
+ *         description: Member or role not found
+ *       409:
+ *         description: The owner and the last admin cannot be demoted
+ */
+router.patch(
+    '/:id/members/:userId',
+    authenticateToken,
+    [
+        param('id').isUUID(),
+        param('userId').isUUID(),
+        body('role').optional().isIn(['ADMIN', 'OPERATOR']),
+        body('roleId').optional({ nullable: true }).isUUID(),
+    ],
+    validate,
+    checkOrganizationAccess,
+    requireOrganizationPermission('member.manage'),
+    async (req, res) => {
+        try {
+            const { role, roleId } = req.body;
+
+            if (roleId && !(await findOrganizationRole(req.params.id, roleId))) {
+                return res.status(404).json({ error: 'Role not found' });
+            }
+
+            const target = await findMember(req.params.id, req.params.userId);
+
+            if (!target) {
+                return res.status(404).json({ error: 'Member not found' });
+            }
+
+            const updated = {
+                role: role ?? target.role,
+                customRoleId: roleId !== undefined ? roleId : target.customRoleId,
+            };
+
+            // Neither granting nor taking away admin rights is open to custom role managers
+            if (!canGrantAdminRights(req)
+                && (await grantsAdminRights(req.params.id, target) || await grantsAdminRights(req.params.id, updated))) {
+                return res.status(403).json({ error: ADMIN_RIGHTS_REQUIRED });
+            }
+
+            if (isFullAdmin(target) && !isFullAdmin(updated)) {
+                if (target.organization.ownerId === target.userId) {
+                    return res.status(409).json({ error: 'The owner must stay an admin, transfer ownership first' });
+                }
+                if (await countFullAdmins(req.params.id) <= 1) {
+                    return res.status(409).json({ error: 'Cannot demote the last admin' });
+                }
+            }
+
+            const member = await prisma.organizationMember.update({
+                where: {
+                    userId_organizationId: {
+                        userId: req.params.userId,
+                        organizationId: req.params.id,
+                    },
+                },
+                data: {
+                    ...(role !== undefined && { role }),
+                    ...(roleId !== undefined && { customRoleId: roleId }),
+                },
+                include: memberInclude,
+            });
+
+            res.json({
+                message: 'Role updated successfully',
+                member,
+            });
+        } catch (error) {
+            console.error('Update role error:', error);
+            res.status(500).json({ error: 'Failed to update role' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove member from organization
+ *     description: Members can also remove themselves (leave) without member.manage
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
  *           type: string
  *     responses:
  *       200:
  *         description: Member removed successfully
+ *       404:
+ *         description: Member not found
+ *       409:
+ *         description: The owner and the last admin cannot be removed
  */
 router.delete(
     '/:id/members/:userId',
@@ -429,9 +955,23 @@ router.delete(
     [param('id').isUUID(), param('userId').isUUID()],
     validate,
     checkOrganizationAccess,
-    requireOrganizationAdmin,
+    unlessSelf(requireOrganizationPermission('member.manage')),
     async (req, res) => {
         try {
+            const target = await findMember(req.params.id, req.params.userId);
+
+            if (!target) {
+                return res.status(404).json({ error: 'Member not found' });
+            }
+
+            if (target.organization.ownerId === target.userId) {
+                return res.status(409).json({ error: 'The owner cannot leave the organization, transfer ownership first' });
+            }
+
+            if (isFullAdmin(target) && await countFullAdmins(req.params.id) <= 1) {
+                return res.status(409).json({ error: 'Cannot remove the last admin' });
+            }
+
             await prisma.organizationMember.delete({
                 where: {
                     userId_organizationId: {
@@ -449,4 +989,624 @@ router.delete(
     }
 );
 
+/**
+ * @swagger
+ * /api/organizations/{id}/invitations:
+ *   post:
+ *     summary: Invite an email to the organization
+ *     description: |
+ *       Emails an invitation token. The invitee accepts it with POST /api/organizations/invitations/accept
+ *       once registered with that email. Invitations expire after 7 days; an invitation whose email
+ *       cannot be sent is revoked.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [ADMIN, OPERATOR]
+ *               roleId:
+ *                 type: string
+ *                 description: Custom role given on acceptance
+ *     responses:
+ *       201:
+ *         description: Invitation sent successfully
+ *       403:
+ *         description: Email verification required, or admin rights only the owner or a full admin can grant
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: Already a member or an invitation is pending
+ */
+router.post(
+    '/:id/invitations',
+    authenticateToken,
+    requireVerifiedEmail,
+    [
+        param('id').isUUID().withMessage('Valid organization ID required'),
+        body('email').isEmail().withMessage('Valid email required'),
+        body('role').optional().isIn(['ADMIN', 'OPERATOR']),
+        body('roleId').optional().isUUID(),
+    ],
+    validate,
+    checkOrganizationAccess,
+    requireOrganizationPermission('member.manage'),
+    async (req, res) => {
+        try {
+            const { email, role = 'OPERATOR', roleId } = req.body;
+
+            if (roleId && !(await findOrganizationRole(req.params.id, roleId))) {
+                return res.status(404).json({ error: 'Role not found' });
+            }
+
+            if (!canGrantAdminRights(req) && await grantsAdminRights(req.params.id, { role, customRoleId: roleId })) {
+                return res.status(403).json({ error: ADMIN_RIGHTS_REQUIRED });
+            }
+
+            const [existingMember, pendingInvitation] = await Promise.all([
+                prisma.organizationMember.findFirst({
+                    where: {
+                        organizationId: req.params.id,
+                        user: { email: sameEmail(email) },
+                    },
+                }),
+                prisma.organizationInvitation.findFirst({
+                    where: {
+                        organizationId: req.params.id,
+                        email: sameEmail(email),
+                        acceptedAt: null,
+                        revokedAt: null,
+                        expiresAt: { gt: new Date() },
+                    },
+                }),
+            ]);
+
+            if (existingMember) {
+                return res.status(409).json({ error: 'User is already a member' });
+            }
+
+            if (pendingInvitation) {
+                return res.status(409).json({ error: 'An invitation is already pending for this email, resend it instead' });
+            }
+
+            const inviteToken = generateToken();
+
+            const invitation = await prisma.organizationInvitation.create({
+                data: {
+                    email,
+                    role,
+                    customRoleId: roleId,
+                    tokenHash: hashToken(inviteToken),
+                    expiresAt: invitationExpiry(),
+                    organizationId: req.params.id,
+                    invitedById: req.user.id,
+                },
+                select: invitationSelect,
+            });
+
+            await sendInvitation(invitation, req.params.id, req.user, inviteToken);
+
+            res.status(201).json({
+                message: 'Invitation sent successfully',
+                invitation,
+            });
+        } catch (error) {
+            console.error('Create invitation error:', error);
+            res.status(500).json({ error: 'Failed to send invitation' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/invitations:
+ *   get:
+ *     summary: Get the pending invitations of an organization
+ *     description: Invitations not accepted nor revoked; expired ones are flagged and can be resent
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of pending invitations
+ */
+router.get(
+    '/:id/invitations',
+    authenticateToken,
+    [param('id').isUUID().withMessage('Valid organization ID required')],
+    validate,
+    checkOrganizationAccess,
+    requireOrganizationPermission('member.manage'),
+    async (req, res) => {
+        try {
+            const invitations = await prisma.organizationInvitation.findMany({
+                where: {
+                    organizationId: req.params.id,
+                    acceptedAt: null,
+                    revokedAt: null,
+                },
+                select: invitationSelect,
+                orderBy: { createdAt: 'desc' },
+            });
+
+            const now = new Date();
+
+            res.json({
+                invitations: invitations.map((invitation) => ({
+                    ...invitation,
+                    expired: invitation.expiresAt <= now,
+                })),
+            });
+        } catch (error) {
+            console.error('Get invitations error:', error);
+            res.status(500).json({ error: 'Failed to fetch invitations' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/invitations/{invitationId}/resend:
+ *   post:
+ *     summary: Resend a pending invitation
+ *     description: |
+ *       Emails a new token (the previous one stops working) and restarts the expiration.
+ *       The invitation is revoked if the email cannot be sent.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation resent successfully
+ *       403:
+ *         description: Email verification required
+ *       404:
+ *         description: Invitation not found, accepted or revoked
+ */
+router.post(
+    '/:id/invitations/:invitationId/resend',
+    authenticateToken,
+    requireVerifiedEmail,
+    [param('id').isUUID(), param('invitationId').isUUID()],
+    validate,
+    checkOrganizationAccess,
+    requireOrganizationPermission('member.manage'),
+    async (req, res) => {
+        try {
+            const pending = await prisma.organizationInvitation.findFirst({
+                where: {
+                    id: req.params.invitationId,
+                    organizationId: req.params.id,
+                    acceptedAt: null,
+                    revokedAt: null,
+                },
+            });
+
+            if (!pending) {
+                return res.status(404).json({ error: 'Invitation not found, accepted or revoked' });
+            }
+
+            const inviteToken = generateToken();
+
+            const invitation = await prisma.organizationInvitation.update({
+                where: { id: pending.id },
+                data: {
+                    tokenHash: hashToken(inviteToken),
+                    expiresAt: invitationExpiry(),
+                },
+                select: invitationSelect,
+            });
+
+            await sendInvitation(invitation, req.params.id, req.user, inviteToken);
+
+            res.json({
+                message: 'Invitation resent successfully',
+                invitation,
+            });
+        } catch (error) {
+            console.error('Resend invitation error:', error);
+            res.status(500).json({ error: 'Failed to resend invitation' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/invitations/{invitationId}/revoke:
+ *   post:
+ *     summary: Revoke a pending invitation
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked successfully
+ *       404:
+ *         description: Invitation not found, accepted or already revoked
+ */
+router.post(
+    '/:id/invitations/:invitationId/revoke',
+    authenticateToken,
+    [param('id').isUUID(), param('invitationId').isUUID()],
+    validate,
+    checkOrganizationAccess,
+    requireOrganizationPermission('member.manage'),
+    async (req, res) => {
+        try {
+            const revoked = await prisma.organizationInvitation.updateMany({
+                where: {
+                    id: req.params.invitationId,
+                    organizationId: req.params.id,
+                    acceptedAt: null,
+                    revokedAt: null,
+                },
+                data: {
+                    revokedAt: new Date(),
+                },
+            });
+
+            if (revoked.count === 0) {
+                return res.status(404).json({ error: 'Invitation not found, accepted or already revoked' });
+            }
+
+            res.json({ message: 'Invitation revoked successfully' });
+        } catch (error) {
+            console.error('Revoke invitation error:', error);
+            res.status(500).json({ error: 'Failed to revoke invitation' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/roles:
+ *   get:
+ *     summary: Get the custom roles of an organization and the available permissions
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Custom roles, built-in role permissions and permission catalog
+ */
+router.get(
+    '/:id/roles',
+    authenticateToken,
+    [param('id').isUUID().withMessage('Valid organization ID required')],
+    validate,
+    checkOrganizationAccess,
+    requireOrganizationPermission('member.manage'),
+    async (req, res) => {
+        try {
+            const roles = await prisma.organizationRole.findMany({
+                where: { organizationId: req.params.id },
+                include: {
+                    _count: {
+                        select: { members: true },
+                    },
+                },
+                orderBy: { name: 'asc' },
+            });
+
+            res.json({
+                roles,
+                builtInRoles: ROLE_PERMISSIONS,
+                permissions: PERMISSIONS,
+            });
+        } catch (error) {
+            console.error('Get roles error:', error);
+            res.status(500).json({ error: 'Failed to fetch roles' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/roles:
+ *   post:
+ *     summary: Define a custom role
+ *     description: |
+ *       Members assigned to the role get exactly its permissions. For example a field buyer
+ *       role with movement.record only can record deliveries and advances, but cannot edit
+ *       prices, close operations or see margins.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Comprador de campo
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [movement.record]
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       403:
+ *         description: Granting admin rights (ADMIN or member.manage) requires the owner or a full admin
+ *       409:
+ *         description: A role with that name already exists
+ */
+router.post(
+    '/:id/roles',
+    authenticateToken,
+    [
+        param('id').isUUID().withMessage('Valid organization ID required'),
+        body('name').trim().notEmpty().withMessage('Role name required'),
+        body('description').optional().trim(),
+        body('permissions').isArray().withMessage('Permissions must be an array'),
+        body('permissions.*').isIn(PERMISSION_NAMES).withMessage('Unknown permission'),
+    ],
+    validate,
+    checkOrganizationAccess,
+    requireOrganizationPermission('member.manage'),
+    async (req, res) => {
+        try {
+            const { name, description, permissions } = req.body;
+
+            if (permissions.includes('member.manage') && !canGrantAdminRights(req)) {
+                return res.status(403).json({ error: ADMIN_RIGHTS_REQUIRED });
+            }
+
+            const role = await prisma.organizationRole.create({
+                data: {
+                    name,
+                    description,
+                    permissions: [...new Set(permissions)],
+                    organizationId: req.params.id,
+                },
+            });
+
+            res.status(201).json({
+                message: 'Role created successfully',
+                role,
+            });
+        } catch (error) {
+            if (error.code === 'P2002') {
+                return res.status(409).json({ error: 'A role with that name already exists' });
+            }
+            console.error('Create role error:', error);
+            res.status(500).json({ error: 'Failed to create role' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/roles/{roleId}:
+ *   patch:
+ *     summary: Update a custom role
+ *     description: Permission changes apply immediately to every member with the role
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       403:
+ *         description: Granting admin rights (ADMIN or member.manage) requires the owner or a full admin
+ *       404:
+ *         description: Role not found
+ */
+router.patch(
+    '/:id/roles/:roleId',
+    authenticateToken,
+    [
+        param('id').isUUID(),
+        param('roleId').isUUID(),
+        body('name').optional().trim().notEmpty(),
+        body('description').optional().trim(),
+        body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+        body('permissions.*').isIn(PERMISSION_NAMES).withMessage('Unknown permission'),
+    ],
+    validate,
+    checkOrganizationAccess,
+    requireOrganizationPermission('member.manage'),
+    async (req, res) => {
+        try {
+            const { name, description, permissions } = req.body;
+
+            const existing = await findOrganizationRole(req.params.id, req.params.roleId);
+
+            if (!existing) {
+                return res.status(404).json({ error: 'Role not found' });
+            }
+
+            const managesMembers = existing.permissions.includes('member.manage')
+                || Boolean(permissions?.includes('member.manage'));
+
+            if (managesMembers && !canGrantAdminRights(req)) {
+                return res.status(403).json({ error: ADMIN_RIGHTS_REQUIRED });
+            }
+
+            const role = await prisma.organizationRole.update({
+                where: { id: req.params.roleId },
+                data: {
+                    ...(name !== undefined && { name }),
+                    ...(description !== undefined && { description }),
+                    ...(permissions !== undefined && { permissions: [...new Set(permissions)] }),
+                },
+            });
+
+            res.json({
+                message: 'Role updated successfully',
+                role,
+            });
+        } catch (error) {
+            if (error.code === 'P2002') {
+                return res.status(409).json({ error: 'A role with that name already exists' });
+            }
+            console.error('Update role error:', error);
+            res.status(500).json({ error: 'Failed to update role' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/roles/{roleId}:
+ *   delete:
+ *     summary: Delete a custom role
+ *     description: Members with the role go back to the permissions of their built-in role
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       403:
+ *         description: The role gives or restricts admin rights, only the owner or a full admin can delete it
+ *       404:
+ *         description: Role not found
+ */
+router.delete(
+    '/:id/roles/:roleId',
+    authenticateToken,
+    [param('id').isUUID(), param('roleId').isUUID()],
+    validate,
+    checkOrganizationAccess,
+    requireOrganizationPermission('member.manage'),
+    async (req, res) => {
+        try {
+            // Admins restricted by the role would get the full admin permissions back
+            if (!canGrantAdminRights(req)) {
+                const restrictedAdmins = await prisma.organizationMember.count({
+                    where: {
+                        organizationId: req.params.id,
+                        customRoleId: req.params.roleId,
+                        role: 'ADMIN',
+                    },
+                });
+                const role = await findOrganizationRole(req.params.id, req.params.roleId);
+
+                if (restrictedAdmins > 0 || role?.permissions.includes('member.manage')) {
+                    return res.status(403).json({ error: ADMIN_RIGHTS_REQUIRED });
+                }
+            }
+
+            const deleted = await prisma.organizationRole.deleteMany({
+                where: {
+                    id: req.params.roleId,
+                    organizationId: req.params.id,
+                },
+            });
+
+            if (deleted.count === 0) {
+                return res.status(404).json({ error: 'Role not found' });
+            }
+
+            res.json({ message: 'Role deleted successfully' });
+        } catch (error) {
+            console.error('Delete role error:', error);
+            res.status(500).json({ error: 'Failed to delete role' });
+        }
+    }
+);
+
 export default router;
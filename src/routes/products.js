@@ -0,0 +1,341 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { body, param, query } from 'express-validator';
+import { validate } from '../middleware/validation.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { resolveScope, requirePermission } from '../middleware/scope.js';
+import { deleteSyncRecord, findSyncEntity } from '../utils/syncEntities.js';
+import { scopeData, scopeWhere } from '../utils/scope.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+/**
+ * Find a product of the scope with the same name (case-insensitive)
+ */
+const findProductByName = (scope, name, excludeId) => prisma.product.findFirst({
+    where: {
+        ...scopeWhere(scope),
+        name: { equals: name, mode: 'insensitive' },
+        ...(excludeId && { id: { not: excludeId } }),
+    },
+});
+
+/**
+ * @swagger
+ * /api/products:
+ *   post:
+ *     summary: Create a new product
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               unit:
+ *                 type: string
+ *                 description: Unit of measure (kg, unidades, quintales...)
+ *                 default: kg
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Product created successfully
+ *       409:
+ *         description: Product name already exists
+ */
+router.post(
+    '/',
+    authenticateToken,
+    resolveScope,
+    requirePermission('catalog.manage'),
+    [
+        body('name').trim().notEmpty().withMessage('Product name required'),
+        body('unit').optional().trim().notEmpty().isLength({ max: 20 }),
+        body('description').optional().trim(),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { name, unit, description } = req.body;
+
+            if (await findProductByName(req.scope, name)) {
+                return res.status(409).json({ error: 'Product name already exists' });
+            }
+
+            const product = await prisma.product.create({
+                data: {
+                    name,
+                    unit,
+                    description,
+                    ...scopeData(req.scope),
+                },
+            });
+
+            res.status(201).json({
+                message: 'Product created successfully',
+                product,
+            });
+        } catch (error) {
+            // Same name created concurrently (unique index on the lowercase name)
+            if (error.code === 'P2002') {
+                return res.status(409).json({ error: 'Product name already exists' });
+            }
+            console.error('Create product error:', error);
+            res.status(500).json({ error: 'Failed to create product' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/products:
+ *   get:
+ *     summary: Get all products
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of products
+ */
+router.get(
+    '/',
+    authenticateToken,
+    resolveScope,
+    [query('search').optional().trim()],
+    validate,
+    async (req, res) => {
+        try {
+            const { search } = req.query;
+
+            const where = scopeWhere(req.scope);
+
+            if (search) {
+                where.name = { contains: search, mode: 'insensitive' };
+            }
+
+            const products = await prisma.product.findMany({
+                where,
+                include: {
+                    _count: {
+                        select: {
+                            operations: true,
+                            sales: true,
+                        },
+                    },
+                },
+                orderBy: {
+                    name: 'asc',
+                },
+            });
+
+            res.json({ products });
+        } catch (error) {
+            console.error('Get products error:', error);
+            res.status(500).json({ error: 'Failed to fetch products' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   get:
+ *     summary: Get product by ID
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product details
+ *       404:
+ *         description: Product not found
+ */
+router.get(
+    '/:id',
+    authenticateToken,
+    resolveScope,
+    [param('id').isUUID()],
+    validate,
+    async (req, res) => {
+        try {
+            const product = await prisma.product.findFirst({
+                where: {
+                    id: req.params.id,
+                    ...scopeWhere(req.scope),
+                },
+                include: {
+                    _count: {
+                        select: {
+                            operations: true,
+                            sales: true,
+                        },
+                    },
+                },
+            });
+
+            if (!product) {
+                return res.status(404).json({ error: 'Product not found' });
+            }
+
+            res.json({ product });
+        } catch (error) {
+            console.error('Get product error:', error);
+            res.status(500).json({ error: 'Failed to fetch product' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   patch:
+ *     summary: Update product
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               unit:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Product updated successfully
+ *       409:
+ *         description: Product name already exists
+ */
+router.patch(
+    '/:id',
+    authenticateToken,
+    resolveScope,
+    requirePermission('catalog.manage'),
+    [
+        param('id').isUUID(),
+        body('name').optional().trim().notEmpty(),
+        body('unit').optional().trim().notEmpty().isLength({ max: 20 }),
+        body('description').optional().trim(),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { name, unit, description } = req.body;
+
+            if (name && await findProductByName(req.scope, name, req.params.id)) {
+                return res.status(409).json({ error: 'Product name already exists' });
+            }
+
+            const product = await prisma.product.updateMany({
+                where: {
+                    id: req.params.id,
+                    ...scopeWhere(req.scope),
+                },
+                data: {
+                    ...(name && { name }),
+                    ...(unit && { unit }),
+                    ...(description !== undefined && { description }),
+                },
+            });
+
+            if (product.count === 0) {
+                return res.status(404).json({ error: 'Product not found or access denied' });
+            }
+
+            const updatedProduct = await prisma.product.findUnique({
+                where: { id: req.params.id },
+            });
+
+            res.json({
+                message: 'Product updated successfully',
+                product: updatedProduct,
+            });
+        } catch (error) {
+            if (error.code === 'P2002') {
+                return res.status(409).json({ error: 'Product name already exists' });
+            }
+            console.error('Update product error:', error);
+            res.status(500).json({ error: 'Failed to update product' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   delete:
+ *     summary: Delete product
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product deleted successfully
+ *       400:
+ *         description: Cannot delete product used by operations or sales
+ */
+router.delete(
+    '/:id',
+    authenticateToken,
+    resolveScope,
+    requirePermission('record.delete'),
+    [param('id').isUUID()],
+    validate,
+    async (req, res) => {
+        try {
+            const result = await prisma.$transaction(
+                (tx) => deleteSyncRecord(tx, findSyncEntity('products'), req.params.id, req.scope)
+            );
+
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error, ...result.details });
+            }
+
+            res.json({ message: 'Product deleted successfully' });
+        } catch (error) {
+            console.error('Delete product error:', error);
+            res.status(500).json({ error: 'Failed to delete product' });
+        }
+    }
+);
+
+export default router;
@@ -3,6 +3,9 @@ import { PrismaClient } from '@prisma/client';
 import { body, param, query } from 'express-validator';
 import { validate } from '../middleware/validation.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { resolveScope, requirePermission } from '../middleware/scope.js';
+import { deleteSyncRecord, findSyncEntity } from '../utils/syncEntities.js';
+import { scopeData, scopeWhere } from '../utils/scope.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -26,17 +29,12 @@ const prisma = new PrismaClient();
  *             properties:
  *               name:
  *                 type: string
- *               email:
- *                 type: string
- *                 format: email
  *               phone:
  *                 type: string
  *               address:
  *                 type: string
  *               notes:
  *                 type: string
- *               organizationId:
- *                 type: string
  *     responses:
  *       201:
  *         description: Provider created successfully
@@ -44,28 +42,26 @@ const prisma = new PrismaClient();
 router.post(
     '/',
     authenticateToken,
+    resolveScope,
+    requirePermission('catalog.manage'),
     [
         body('name').trim().notEmpty().withMessage('Provider name required'),
-        body('email').optional().isEmail(),
         body('phone').optional().trim(),
         body('address').optional().trim(),
         body('notes').optional().trim(),
-        body('organizationId').optional().isUUID(),
     ],
     validate,
     async (req, res) => {
         try {
-            const { name, email, phone, address, notes, organizationId } = req.body;
+            const { name, phone, address, notes } = req.body;
 
             const provider = await prisma.provider.create({
                 data: {
                     name,
-                    email,
                     phone,
                     address,
                     notes,
-                    userId: organizationId ? null : req.user.id,
-                    organizationId: organizationId || null,
+                    ...scopeData(req.scope),
                 },
             });
 
@@ -90,10 +86,6 @@ router.post(
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: organizationId
- *         schema:
- *           type: string
- *       - in: query
  *         name: search
  *         schema:
  *           type: string
@@ -101,25 +93,17 @@ router.post(
  *       200:
  *         description: List of providers
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, resolveScope, async (req, res) => {
     try {
-        const { organizationId, search } = req.query;
+        const { search } = req.query;
 
-        const where = {
-            OR: [
-                { userId: req.user.id },
-                organizationId ? { organizationId } : {},
-            ],
-        };
+        const where = scopeWhere(req.scope);
 
         if (search) {
-            where.AND = {
-                OR: [
-                    { name: { contains: search, mode: 'insensitive' } },
-                    { email: { contains: search, mode: 'insensitive' } },
-                    { phone: { contains: search, mode: 'insensitive' } },
-                ],
-            };
+            where.OR = [
+                { name: { contains: search, mode: 'insensitive' } },
+                { phone: { contains: search, mode: 'insensitive' } },
+            ];
         }
 
         const providers = await prisma.provider.findMany({
@@ -127,7 +111,7 @@ router.get('/', authenticateToken, async (req, res) => {
             include: {
                 _count: {
                     select: {
-                        transactions: true,
+                        operations: true,
                     },
                 },
             },
@@ -147,7 +131,7 @@ router.get('/', authenticateToken, async (req, res) => {
  * @swagger
  * /api/providers/{id}:
  *   get:
- *     summary: Get provider by ID with transaction history
+ *     summary: Get provider by ID with operation history
  *     tags: [Providers]
  *     security:
  *       - bearerAuth: []
@@ -159,13 +143,14 @@ router.get('/', authenticateToken, async (req, res) => {
  *           type: string
  *     responses:
  *       200:
- *         description: Provider details with transactions
+ *         description: Provider details with operations
  *       404:
  *         description: Provider not found
  */
 router.get(
     '/:id',
     authenticateToken,
+    resolveScope,
     [param('id').isUUID()],
     validate,
     async (req, res) => {
@@ -173,29 +158,26 @@ router.get(
             const provider = await prisma.provider.findFirst({
                 where: {
                     id: req.params.id,
-                    OR: [
-                        { userId: req.user.id },
-                        { organization: { members: { some: { userId: req.user.id } } } },
-                    ],
+                    ...scopeWhere(req.scope),
                 },
                 include: {
-                    transactions: {
+                    operations: {
                         orderBy: {
-                            transactionDate: 'desc',
+                            operationDate: 'desc',
                         },
                         take: 20,
                         select: {
                             id: true,
-                            contractNumber: true,
-                            description: true,
+                            operationNumber: true,
                             status: true,
-                            totalAmount: true,
-                            transactionDate: true,
+                            pricePerUnit: true,
+                            agreedQuantity: true,
+                            operationDate: true,
                         },
                     },
                     _count: {
                         select: {
-                            transactions: true,
+                            operations: true,
                         },
                     },
                 },
@@ -236,8 +218,6 @@ router.get(
  *             properties:
  *               name:
  *                 type: string
- *               email:
- *                 type: string
  *               phone:
  *                 type: string
  *               address:
@@ -251,10 +231,11 @@ router.get(
 router.patch(
     '/:id',
     authenticateToken,
+    resolveScope,
+    requirePermission('catalog.manage'),
     [
         param('id').isUUID(),
         body('name').optional().trim().notEmpty(),
-        body('email').optional().isEmail(),
         body('phone').optional().trim(),
         body('address').optional().trim(),
         body('notes').optional().trim(),
@@ -262,19 +243,15 @@ router.patch(
     validate,
     async (req, res) => {
         try {
-            const { name, email, phone, address, notes } = req.body;
+            const { name, phone, address, notes } = req.body;
 
             const provider = await prisma.provider.updateMany({
                 where: {
                     id: req.params.id,
-                    OR: [
-                        { userId: req.user.id },
-                        { organization: { members: { some: { userId: req.user.id } } } },
-                    ],
+                    ...scopeWhere(req.scope),
                 },
                 data: {
                     ...(name && { name }),
-                    ...(email !== undefined && { email }),
                     ...(phone !== undefined && { phone }),
                     ...(address !== undefined && { address }),
                     ...(notes !== undefined && { notes }),
@@ -318,42 +295,23 @@ router.patch(
  *       200:
  *         description: Provider deleted successfully
  *       400:
- *         description: Cannot delete provider with active transactions
+ *         description: Cannot delete provider with operations
  */
 router.delete(
     '/:id',
     authenticateToken,
+    resolveScope,
+    requirePermission('record.delete'),
     [param('id').isUUID()],
     validate,
     async (req, res) => {
         try {
-            // Check for active transactions
-            const transactionCount = await prisma.transaction.count({
-                where: {
-                    providerId: req.params.id,
-                    status: 'ACTIVE',
-                },
-            });
+            const result = await prisma.$transaction(
+                (tx) => deleteSyncRecord(tx, findSyncEntity('providers'), req.params.id, req.scope)
+            );
 
-            if (transactionCount > 0) {
-                return res.status(400).json({
-                    error: 'Cannot delete provider with active transactions',
-                    activeTransactions: transactionCount,
-                });
-            }
-
-            const deleted = await prisma.provider.deleteMany({
-                where: {
-                    id: req.params.id,
-                    OR: [
-                        { userId: req.user.id },
-                        { organization: { members: { some: { userId: req.user.id } } } },
-                    ],
-                },
-            });
-
-            if (deleted.count === 0) {
-                return res.status(404).json({ error: 'Provider not found or access denied' });
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error, ...result.details });
             }
 
             res.json({ message: 'Provider deleted successfully' });
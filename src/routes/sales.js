@@ -0,0 +1,540 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { body, param, query } from 'express-validator';
+import { validate } from '../middleware/validation.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { resolveScope, requirePermission } from '../middleware/scope.js';
+import { roundTo } from '../utils/transactionHelpers.js';
+import { calculateStock, lockProductStock } from '../utils/inventoryHelpers.js';
+import { loadCostHistory, calculateWeightedAverageCost } from '../utils/costHelpers.js';
+import {
+    generateSaleNumber,
+    resolveSaleStatus,
+    calculateSalePayments,
+    exceedsSaleTotal,
+    lockSale,
+} from '../utils/saleHelpers.js';
+import { scopeData, scopeWhere } from '../utils/scope.js';
+import { hasPermission } from '../utils/permissions.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const SALE_STATUSES = ['PENDING', 'PARTIAL', 'COMPLETED', 'CANCELLED'];
+const PAYMENT_METHODS = ['CASH', 'TRANSFER'];
+
+/**
+ * @swagger
+ * /api/sales:
+ *   post:
+ *     summary: Create a new sale
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - clientId
+ *               - productId
+ *               - quantity
+ *               - pricePerUnit
+ *             properties:
+ *               clientId:
+ *                 type: string
+ *               productId:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               pricePerUnit:
+ *                 type: number
+ *               saleDate:
+ *                 type: string
+ *                 format: date-time
+ *               allowNegativeStock:
+ *                 type: boolean
+ *                 description: Create the sale even if it exceeds stock on hand (a warning is returned)
+ *     responses:
+ *       201:
+ *         description: Sale created successfully
+ *       404:
+ *         description: Client or product not found
+ *       409:
+ *         description: Insufficient stock
+ */
+router.post(
+    '/',
+    authenticateToken,
+    resolveScope,
+    requirePermission('sale.manage'),
+    [
+        body('clientId').isUUID().withMessage('Valid client ID required'),
+        body('productId').isUUID().withMessage('Valid product ID required'),
+        body('quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0').toFloat(),
+        body('pricePerUnit').isFloat({ min: 0 }).withMessage('Price per unit must be 0 or greater').toFloat(),
+        body('saleDate').optional().isISO8601(),
+        body('allowNegativeStock').optional().isBoolean().toBoolean(),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { clientId, productId, quantity, pricePerUnit, saleDate, allowNegativeStock } = req.body;
+
+            // Verify client and product ownership
+            const [client, product] = await Promise.all([
+                prisma.client.findFirst({ where: { id: clientId, ...scopeWhere(req.scope) } }),
+                prisma.product.findFirst({ where: { id: productId, ...scopeWhere(req.scope) } }),
+            ]);
+
+            if (!client) {
+                return res.status(404).json({ error: 'Client not found' });
+            }
+
+            if (!product) {
+                return res.status(404).json({ error: 'Product not found' });
+            }
+
+            const result = await prisma.$transaction(async (tx) => {
+                // Sales of the product wait for each other, so two of them cannot both take the last stock
+                await lockProductStock(tx, productId);
+
+                // Don't sell more than we hold unless explicitly allowed
+                const { stock } = await calculateStock(tx, req.scope, productId);
+                let warning;
+
+                if (quantity > stock) {
+                    if (!allowNegativeStock) {
+                        return {
+                            status: 409,
+                            body: {
+                                error: 'Insufficient stock',
+                                stock,
+                                requested: quantity,
+                            },
+                        };
+                    }
+
+                    warning = `Sale exceeds stock on hand (${stock} ${product.unit})`;
+                }
+
+                const sale = await tx.sale.create({
+                    data: {
+                        saleNumber: generateSaleNumber(),
+                        quantity,
+                        pricePerUnit,
+                        totalAmount: roundTo(quantity * pricePerUnit),
+                        clientId,
+                        productId,
+                        ...scopeData(req.scope),
+                        ...(saleDate && { saleDate: new Date(saleDate) }),
+                    },
+                    include: {
+                        client: true,
+                        product: true,
+                    },
+                });
+
+                return {
+                    status: 201,
+                    body: {
+                        message: 'Sale created successfully',
+                        sale,
+                        ...(warning && { warning }),
+                    },
+                };
+            });
+
+            res.status(result.status).json(result.body);
+        } catch (error) {
+            console.error('Create sale error:', error);
+            res.status(500).json({ error: 'Failed to create sale' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/sales:
+ *   get:
+ *     summary: Get all sales
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, PARTIAL, COMPLETED, CANCELLED]
+ *       - in: query
+ *         name: clientId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: List of sales
+ */
+router.get(
+    '/',
+    authenticateToken,
+    resolveScope,
+    [
+        query('status').optional().isIn(SALE_STATUSES),
+        query('clientId').optional().isUUID(),
+        query('productId').optional().isUUID(),
+        query('startDate').optional().isISO8601(),
+        query('endDate').optional().isISO8601(),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { status, clientId, productId, startDate, endDate } = req.query;
+
+            const where = scopeWhere(req.scope);
+
+            if (status) {
+                where.status = status;
+            }
+
+            if (clientId) {
+                where.clientId = clientId;
+            }
+
+            if (productId) {
+                where.productId = productId;
+            }
+
+            if (startDate || endDate) {
+                where.saleDate = {
+                    ...(startDate && { gte: new Date(startDate) }),
+                    ...(endDate && { lte: new Date(endDate) }),
+                };
+            }
+
+            const sales = await prisma.sale.findMany({
+                where,
+                include: {
+                    client: {
+                        select: {
+                            id: true,
+                            name: true,
+                        },
+                    },
+                    product: {
+                        select: {
+                            id: true,
+                            name: true,
+                            unit: true,
+                        },
+                    },
+                    payments: {
+                        select: {
+                            amount: true,
+                            paymentDate: true,
+                        },
+                    },
+                },
+                orderBy: {
+                    saleDate: 'desc',
+                },
+            });
+
+            res.json({
+                sales: sales.map(({ payments, ...sale }) => ({
+                    ...sale,
+                    ...calculateSalePayments(sale, payments),
+                })),
+            });
+        } catch (error) {
+            console.error('Get sales error:', error);
+            res.status(500).json({ error: 'Failed to fetch sales' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/sales/{id}:
+ *   get:
+ *     summary: Get sale by ID with payments
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sale details with payment summary and gross margin (weighted average cost, requires analytics.view)
+ *       404:
+ *         description: Sale not found
+ */
+router.get(
+    '/:id',
+    authenticateToken,
+    resolveScope,
+    [param('id').isUUID()],
+    validate,
+    async (req, res) => {
+        try {
+            const sale = await prisma.sale.findFirst({
+                where: {
+                    id: req.params.id,
+                    ...scopeWhere(req.scope),
+                },
+                include: {
+                    client: true,
+                    product: true,
+                    payments: {
+                        orderBy: {
+                            paymentDate: 'desc',
+                        },
+                    },
+                },
+            });
+
+            if (!sale) {
+                return res.status(404).json({ error: 'Sale not found' });
+            }
+
+            // Costs and margins are only shown with analytics.view
+            const costs = hasPermission(req.scope, 'analytics.view')
+                ? calculateWeightedAverageCost(await loadCostHistory(prisma, req.scope, sale.productId))
+                : null;
+
+            res.json({
+                sale,
+                payments: calculateSalePayments(sale, sale.payments),
+                margin: costs?.sales[sale.id] || null,
+            });
+        } catch (error) {
+            console.error('Get sale error:', error);
+            res.status(500).json({ error: 'Failed to fetch sale' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/sales/{id}/cancel:
+ *   post:
+ *     summary: Cancel a sale without payments
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sale cancelled successfully
+ *       400:
+ *         description: Sale already has payments
+ *       404:
+ *         description: Sale not found or already cancelled
+ */
+router.post(
+    '/:id/cancel',
+    authenticateToken,
+    resolveScope,
+    requirePermission('sale.manage'),
+    [param('id').isUUID()],
+    validate,
+    async (req, res) => {
+        try {
+            const result = await prisma.$transaction(async (tx) => {
+                // A payment made at the same time waits here, so none lands on a cancelled sale
+                await lockSale(tx, req.params.id);
+
+                const sale = await tx.sale.findFirst({
+                    where: {
+                        id: req.params.id,
+                        ...scopeWhere(req.scope),
+                        status: { not: 'CANCELLED' },
+                    },
+                    include: {
+                        _count: {
+                            select: { payments: true },
+                        },
+                    },
+                });
+
+                if (!sale) {
+                    return { status: 404, body: { error: 'Sale not found or already cancelled' } };
+                }
+
+                if (sale._count.payments > 0) {
+                    return {
+                        status: 400,
+                        body: {
+                            error: 'Cannot cancel a sale with payments',
+                            payments: sale._count.payments,
+                        },
+                    };
+                }
+
+                await tx.sale.update({
+                    where: { id: sale.id },
+                    data: {
+                        status: 'CANCELLED',
+                        cancelledAt: new Date(),
+                    },
+                });
+
+                return { status: 200, body: { message: 'Sale cancelled successfully' } };
+            });
+
+            res.status(result.status).json(result.body);
+        } catch (error) {
+            console.error('Cancel sale error:', error);
+            res.status(500).json({ error: 'Failed to cancel sale' });
+        }
+    }
+);
+
+// ============================================
+// PAYMENTS
+// ============================================
+
+/**
+ * @swagger
+ * /api/sales/{id}/payments:
+ *   post:
+ *     summary: Register a payment for a sale
+ *     description: Moves the sale to PARTIAL or COMPLETED. Payments above the pending amount are rejected.
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [CASH, TRANSFER]
+ *               description:
+ *                 type: string
+ *               paymentDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Payment registered successfully
+ *       400:
+ *         description: Payment exceeds pending amount
+ *       404:
+ *         description: Sale not found or cannot receive payments
+ */
+router.post(
+    '/:id/payments',
+    authenticateToken,
+    resolveScope,
+    requirePermission('sale.manage'),
+    [
+        param('id').isUUID(),
+        body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0').toFloat(),
+        body('paymentMethod').optional().isIn(PAYMENT_METHODS),
+        body('description').optional().trim(),
+        body('paymentDate').optional().isISO8601(),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { amount, paymentMethod = 'CASH', description, paymentDate } = req.body;
+
+            const result = await prisma.$transaction(async (tx) => {
+                // Concurrent payments of the sale wait here, so they cannot exceed the total together
+                await lockSale(tx, req.params.id);
+
+                const sale = await tx.sale.findFirst({
+                    where: {
+                        id: req.params.id,
+                        ...scopeWhere(req.scope),
+                        status: { in: ['PENDING', 'PARTIAL'] },
+                    },
+                    include: {
+                        payments: true,
+                    },
+                });
+
+                if (!sale) {
+                    return { status: 404, body: { error: 'Sale not found or cannot receive payments' } };
+                }
+
+                const { paidAmount, pendingAmount } = calculateSalePayments(sale, sale.payments);
+
+                if (exceedsSaleTotal(sale, paidAmount, amount)) {
+                    return {
+                        status: 400,
+                        body: {
+                            error: 'Payment exceeds pending amount',
+                            pendingAmount,
+                        },
+                    };
+                }
+
+                const payment = await tx.salePayment.create({
+                    data: {
+                        amount,
+                        paymentMethod,
+                        description,
+                        saleId: sale.id,
+                        ...(paymentDate && { paymentDate: new Date(paymentDate) }),
+                    },
+                });
+
+                const updatedSale = await tx.sale.update({
+                    where: { id: sale.id },
+                    data: {
+                        status: resolveSaleStatus(sale.totalAmount, paidAmount + amount),
+                    },
+                });
+
+                return { status: 201, body: { message: 'Payment registered successfully', payment, sale: updatedSale } };
+            });
+
+            res.status(result.status).json(result.body);
+        } catch (error) {
+            console.error('Add sale payment error:', error);
+            res.status(500).json({ error: 'Failed to register payment' });
+        }
+    }
+);
+
+export default router;
@@ -1,8 +1,27 @@
 import express from 'express';
-import { PrismaClient } from '@prisma/client';
-import { body } from 'express-validator';
+import { Prisma, PrismaClient } from '@prisma/client';
+import { body, param, query } from 'express-validator';
 import { validate } from '../middleware/validation.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { requireDevice } from '../middleware/device.js';
+import { resolveScope } from '../middleware/scope.js';
+import {
+    SYNC_ENTITIES,
+    applySyncRecord,
+    finishSyncChanges,
+    findSyncEntity,
+    toJsonValue,
+} from '../utils/syncEntities.js';
+import { SYNC_BATCH_TIMEOUT, applySyncBatch, findSyncBatch } from '../utils/syncBatch.js';
+import { scopeWhere } from '../utils/scope.js';
+import { hasPermission } from '../utils/permissions.js';
+import {
+    DEFAULT_PULL_LIMIT,
+    MAX_PULL_LIMIT,
+    decodeSyncCursor,
+    encodeSyncCursor,
+    pullChanges,
+} from '../utils/syncPull.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -12,17 +31,54 @@ const prisma = new PrismaClient();
  * /api/sync/push:
  *   post:
  *     summary: Push local changes to server (manual sync)
+ *     description: |
+ *       Every array is optional. Records are applied parent first (products, providers,
+ *       clients, operations, money/product movements, sales, sale payments, expenses,
+ *       incomes). Deletions are applied afterwards, children first, with the same rules
+ *       as the REST delete routes. Results are reported per entity type.
+ *
+ *       Records that send `version` (the version pulled before editing) are merged field by
+ *       field: only the fields sent, or those listed in `changedFields`, are applied. A field
+ *       also changed on the server after that version is kept as is and stored as a conflict,
+ *       returned in `conflicts` and resolved through /api/sync/conflicts. Records without
+ *       `version` use last-write-wins on updatedAt.
+ *
+ *       Records follow the REST rules. An operation pushed as CLOSED is closed after the rest of
+ *       the batch (so settlement movements pushed with it count) and must be settled unless it
+ *       sends `force: true` with a `reason`; reopening one requires a `reason`. Sales beyond the
+ *       stock on hand are rejected unless they send `allowNegativeStock: true`. These options
+ *       travel with the record and are not stored.
+ *
+ *       The batch is applied in a single transaction: if any mutation is rejected nothing is
+ *       applied and the failure is returned with the offending mutation. Every record and
+ *       deletion carries a device-generated `mutationId`; mutations already processed are
+ *       counted as `duplicate`. Retrying an applied `batchId` returns the original response.
+ *
+ *       With X-Organization-Id the batch is applied to the organization; incomes are personal
+ *       and are rejected there.
  *     tags: [Sync]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Device-Token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token returned when registering the device (/api/devices)
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - batchId
  *             properties:
- *               transactions:
+ *               batchId:
+ *                 type: string
+ *                 description: Generated by the device, reused when retrying the same push
+ *               products:
  *                 type: array
  *                 items:
  *                   type: object
@@ -30,166 +86,144 @@ const prisma = new PrismaClient();
  *                 type: array
  *                 items:
  *                   type: object
+ *               clients:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               operations:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               moneyMovements:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               productMovements:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               sales:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               salePayments:
+ *                 type: array
+ *                 items:
+ *                   type: object
  *               expenses:
  *                 type: array
  *                 items:
  *                   type: object
+ *               incomes:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               deleted:
+ *                 type: object
+ *                 description: Deletions made on the device, keyed by entity type
+ *                 example:
+ *                   providers:
+ *                     - id: 3fa85f64-5717-4562-b3fc-2c963f66afa6
+ *                       mutationId: 9b2f4c1e-8d3a-4f6b-a5c7-1e2d3f4a5b6c
  *     responses:
  *       200:
- *         description: Data synchronized successfully
+ *         description: Data synchronized successfully (or original response of a retried batch)
+ *       422:
+ *         description: A mutation was rejected and the batch was rolled back
  */
 router.post(
     '/push',
     authenticateToken,
+    requireDevice,
+    resolveScope,
     [
-        body('transactions').optional().isArray(),
-        body('providers').optional().isArray(),
-        body('expenses').optional().isArray(),
+        body('batchId').isString().trim().notEmpty().withMessage('Batch ID required'),
+        ...SYNC_ENTITIES.flatMap((entity) => [
+            body(entity.key).optional().isArray(),
+            body(`${entity.key}.*.id`).isString().notEmpty().withMessage('Record id required'),
+            body(`${entity.key}.*.mutationId`).isString().notEmpty().withMessage('Mutation ID required'),
+        ]),
+        body('deleted').optional().isObject(),
+        ...SYNC_ENTITIES.flatMap((entity) => [
+            body(`deleted.${entity.key}`).optional().isArray(),
+            body(`deleted.${entity.key}.*.id`).isString().notEmpty().withMessage('Record id required'),
+            body(`deleted.${entity.key}.*.mutationId`).isString().notEmpty().withMessage('Mutation ID required'),
+        ]),
     ],
     validate,
     async (req, res) => {
-        try {
-            const { transactions = [], providers = [], expenses = [] } = req.body;
-            const results = {
-                transactions: { created: 0, updated: 0, errors: [] },
-                providers: { created: 0, updated: 0, errors: [] },
-                expenses: { created: 0, updated: 0, errors: [] },
-            };
-
-            // Sync Providers
-            for (const provider of providers) {
-                try {
-                    const existing = await prisma.provider.findFirst({
-                        where: {
-                            id: provider.id,
-                            userId: req.user.id,
-                        },
-                    });
+        const { batchId } = req.body;
 
-                    if (existing) {
-                        // Update if server version is older
-                        if (new Date(provider.updatedAt) > new Date(existing.updatedAt)) {
-                            await prisma.provider.update({
-                                where: { id: provider.id },
-                                data: {
-                                    name: provider.name,
-                                    email: provider.email,
-                                    phone: provider.phone,
-                                    address: provider.address,
-                                    notes: provider.notes,
-                                    updatedAt: new Date(provider.updatedAt),
-                                },
-                            });
-                            results.providers.updated++;
-                        }
-                    } else {
-                        // Create new
-                        await prisma.provider.create({
-                            data: {
-                                id: provider.id,
-                                name: provider.name,
-                                email: provider.email,
-                                phone: provider.phone,
-                                address: provider.address,
-                                notes: provider.notes,
-                                userId: req.user.id,
-                                createdAt: new Date(provider.createdAt),
-                                updatedAt: new Date(provider.updatedAt),
-                            },
-                        });
-                        results.providers.created++;
-                    }
-                } catch (error) {
-                    results.providers.errors.push({
-                        id: provider.id,
-                        error: error.message,
-                    });
-                }
+        try {
+            const previous = await findSyncBatch(prisma, req.user.id, batchId);
+            if (previous) {
+                return res.json(previous.result);
             }
 
-            // Sync Transactions
-            for (const transaction of transactions) {
-                try {
-                    const existing = await prisma.transaction.findFirst({
-                        where: {
-                            id: transaction.id,
-                            userId: req.user.id,
-                        },
-                    });
-
-                    if (existing) {
-                        // Last-write-wins: update if client version is newer
-                        if (new Date(transaction.updatedAt) > new Date(existing.updatedAt)) {
-                            await prisma.transaction.update({
-                                where: { id: transaction.id },
-                                data: {
-                                    description: transaction.description,
-                                    quantity: transaction.quantity,
-                                    unitPrice: transaction.unitPrice,
-                                    totalAmount: transaction.totalAmount,
-                                    status: transaction.status,
-                                    updatedAt: new Date(transaction.updatedAt),
-                                },
-                            });
-                            results.transactions.updated++;
-                        }
-                    } else {
-                        // Create new transaction
-                        await prisma.transaction.create({
-                            data: {
-                                id: transaction.id,
-                                contractNumber: transaction.contractNumber,
-                                description: transaction.description,
-                                quantity: transaction.quantity,
-                                unitPrice: transaction.unitPrice,
-                                totalAmount: transaction.totalAmount,
-                                status: transaction.status,
-                                userId: req.user.id,
-                                providerId: transaction.providerId,
-                                productServiceId: transaction.productServiceId,
-                                transactionDate: new Date(transaction.transactionDate),
-                                createdAt: new Date(transaction.createdAt),
-                                updatedAt: new Date(transaction.updatedAt),
-                            },
-                        });
-                        results.transactions.created++;
-                    }
-                } catch (error) {
-                    results.transactions.errors.push({
-                        id: transaction.id,
-                        error: error.message,
-                    });
-                }
+            const personalOnly = req.scope.organizationId
+                ? SYNC_ENTITIES.filter((entity) => entity.personal
+                    && (req.body[entity.key]?.length || req.body.deleted?.[entity.key]?.length))
+                : [];
+            if (personalOnly.length > 0) {
+                return res.status(400).json({
+                    error: `${personalOnly.map((entity) => entity.key).join(', ')} are personal and cannot be synced to an organization`,
+                });
             }
 
+            const { result, recordsCount } = await prisma.$transaction(
+                (tx) => applySyncBatch(tx, req.body, req.user, req.scope),
+                { timeout: SYNC_BATCH_TIMEOUT }
+            );
+
             // Log sync
             await prisma.syncLog.create({
                 data: {
                     userId: req.user.id,
+                    deviceId: req.device.id,
+                    batchId,
                     syncType: 'push',
-                    recordsCount: transactions.length + providers.length + expenses.length,
+                    recordsCount,
                     status: 'success',
                 },
             });
 
-            res.json({
-                message: 'Sync completed',
-                results,
-            });
+            res.json(result);
         } catch (error) {
-            console.error('Sync push error:', error);
+            // The same batch was applied by a concurrent retry
+            if (error.code === 'P2002') {
+                const previous = await findSyncBatch(prisma, req.user.id, batchId);
+                if (previous) {
+                    return res.json(previous.result);
+                }
+            }
+
+            if (!error.mutation) {
+                console.error('Sync push error:', error);
+            }
 
-            // Log failed sync
+            // Log failed sync (the batch was rolled back)
             await prisma.syncLog.create({
                 data: {
                     userId: req.user.id,
+                    deviceId: req.device.id,
+                    batchId,
                     syncType: 'push',
                     recordsCount: 0,
                     status: 'failed',
-                    errorMessage: error.message,
+                    errorMessage: error.mutation
+                        ? `${error.mutation.entityType} ${error.mutation.id}: ${error.message}`
+                        : error.message,
                 },
             });
 
+            if (error.mutation) {
+                return res.status(422).json({
+                    error: error.message,
+                    batchId,
+                    mutation: error.mutation,
+                });
+            }
+
             res.status(500).json({ error: 'Sync failed' });
         }
     }
@@ -200,137 +234,342 @@ router.post(
  * /api/sync/pull:
  *   get:
  *     summary: Pull server changes to local (manual sync)
+ *     description: |
+ *       Returns the changes made after `cursor`, oldest first, keyed like the push payload,
+ *       plus the ids deleted under `deleted`. Every write gets a server-side change sequence,
+ *       so nothing is missed because of device clocks or writes landing during the pull.
+ *       Omit the cursor on the first sync, then pass `nextCursor` and keep pulling while
+ *       `hasMore` is true. Store `nextCursor` only once the page is saved on the device.
+ *       Each workspace (personal, or organization via X-Organization-Id) keeps its own cursor.
  *     tags: [Sync]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - in: header
+ *         name: X-Device-Token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token returned when registering the device (/api/devices)
  *       - in: query
- *         name: lastSync
+ *         name: cursor
  *         schema:
  *           type: string
- *           format: date-time
- *         description: ISO timestamp of last successful sync
+ *         description: Opaque cursor returned by the previous pull
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 2000
+ *           default: 500
+ *         description: Maximum number of changes (records and deletions) in the page
  *     responses:
  *       200:
- *         description: Server data retrieved successfully
+ *         description: Server changes with nextCursor and hasMore
+ *       400:
+ *         description: Invalid cursor
  */
-router.get('/pull', authenticateToken, async (req, res) => {
-    try {
-        const { lastSync } = req.query;
-        const lastSyncDate = lastSync ? new Date(lastSync) : new Date(0);
-
-        // Get all data updated since last sync
-        const [transactions, providers, expenses, categories] = await Promise.all([
-            prisma.transaction.findMany({
-                where: {
+router.get(
+    '/pull',
+    authenticateToken,
+    requireDevice,
+    resolveScope,
+    [
+        query('cursor').optional().isString(),
+        query('limit').optional().isInt({ min: 1, max: MAX_PULL_LIMIT }).toInt(),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { cursor, limit = DEFAULT_PULL_LIMIT } = req.query;
+
+            const afterSeq = decodeSyncCursor(cursor);
+            if (afterSeq === null) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+
+            // A single snapshot for every entity keeps the page consistent
+            const { data, deleted, recordsCount, lastSeq, hasMore } = await prisma.$transaction(
+                (tx) => pullChanges(tx, req.scope, afterSeq, limit),
+                { isolationLevel: Prisma.TransactionIsolationLevel.RepeatableRead }
+            );
+
+            // Log sync
+            await prisma.syncLog.create({
+                data: {
                     userId: req.user.id,
-                    updatedAt: { gt: lastSyncDate },
-                },
-                include: {
-                    advances: true,
-                    deliveries: true,
-                    expenses: {
-                        include: {
-                            category: true,
-                        },
-                    },
+                    deviceId: req.device.id,
+                    syncType: 'pull',
+                    recordsCount,
+                    status: 'success',
                 },
-            }),
-            prisma.provider.findMany({
-                where: {
+            });
+
+            res.json({
+                data,
+                deleted,
+                nextCursor: encodeSyncCursor(lastSeq),
+                hasMore,
+            });
+        } catch (error) {
+            console.error('Sync pull error:', error);
+
+            await prisma.syncLog.create({
+                data: {
                     userId: req.user.id,
-                    updatedAt: { gt: lastSyncDate },
+                    deviceId: req.device.id,
+                    syncType: 'pull',
+                    recordsCount: 0,
+                    status: 'failed',
+                    errorMessage: error.message,
                 },
-            }),
-            prisma.expense.findMany({
+            });
+
+            res.status(500).json({ error: 'Sync failed' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/sync/conflicts:
+ *   get:
+ *     summary: Get sync conflicts (fields changed on the server and on a device)
+ *     description: With X-Organization-Id every conflict of the organization is listed, whichever member pushed it
+ *     tags: [Sync]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [OPEN, RESOLVED]
+ *           default: OPEN
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of conflicts
+ */
+router.get(
+    '/conflicts',
+    authenticateToken,
+    resolveScope,
+    [
+        query('status').optional().isIn(['OPEN', 'RESOLVED']),
+        query('entityType').optional().custom((value) => Boolean(findSyncEntity(value))),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { status = 'OPEN', entityType } = req.query;
+
+            const conflicts = await prisma.syncConflict.findMany({
                 where: {
-                    transactionId: null, // General expenses only
-                    updatedAt: { gt: lastSyncDate },
+                    ...scopeWhere(req.scope),
+                    status,
+                    ...(entityType && { entityType }),
                 },
-                include: {
-                    category: true,
+                orderBy: {
+                    createdAt: 'desc',
                 },
-            }),
-            prisma.expenseCategory.findMany({
+            });
+
+            res.json({ conflicts });
+        } catch (error) {
+            console.error('Get sync conflicts error:', error);
+            res.status(500).json({ error: 'Failed to fetch sync conflicts' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/sync/conflicts/{id}/resolve:
+ *   post:
+ *     summary: Resolve a sync conflict by picking the winning value
+ *     description: |
+ *       `server` keeps the current value, `client` applies the value sent by the device,
+ *       `custom` applies `value`. Applied values go through the same rules as a push.
+ *     tags: [Sync]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resolution
+ *             properties:
+ *               resolution:
+ *                 type: string
+ *                 enum: [server, client, custom]
+ *               value:
+ *                 description: Required when resolution is custom
+ *     responses:
+ *       200:
+ *         description: Conflict resolved
+ *       400:
+ *         description: Value rejected by the record rules
+ *       403:
+ *         description: Conflict of another member and no permission to edit the record
+ *       404:
+ *         description: Conflict not found
+ *       409:
+ *         description: Record no longer exists
+ */
+router.post(
+    '/conflicts/:id/resolve',
+    authenticateToken,
+    resolveScope,
+    [
+        param('id').isUUID(),
+        body('resolution').isIn(['server', 'client', 'custom']),
+        body('value').if(body('resolution').equals('custom')).exists().withMessage('Value required for a custom resolution'),
+    ],
+    validate,
+    async (req, res) => {
+        try {
+            const { resolution } = req.body;
+
+            const conflict = await prisma.syncConflict.findFirst({
                 where: {
-                    OR: [
-                        { isDefault: true },
-                        { userId: req.user.id },
-                    ],
+                    id: req.params.id,
+                    ...scopeWhere(req.scope),
+                    status: 'OPEN',
                 },
-            }),
-        ]);
-
-        // Log sync
-        await prisma.syncLog.create({
-            data: {
-                userId: req.user.id,
-                syncType: 'pull',
-                recordsCount: transactions.length + providers.length + expenses.length,
-                status: 'success',
-            },
-        });
-
-        res.json({
-            data: {
-                transactions,
-                providers,
-                expenses,
-                categories,
-            },
-            syncTimestamp: new Date().toISOString(),
-        });
-    } catch (error) {
-        console.error('Sync pull error:', error);
-
-        await prisma.syncLog.create({
-            data: {
-                userId: req.user.id,
-                syncType: 'pull',
-                recordsCount: 0,
-                status: 'failed',
-                errorMessage: error.message,
-            },
-        });
-
-        res.status(500).json({ error: 'Sync failed' });
+            });
+
+            if (!conflict) {
+                return res.status(404).json({ error: 'Conflict not found' });
+            }
+
+            const entity = findSyncEntity(conflict.entityType);
+
+            // Conflicts raised by other members are settled by who may edit the records
+            if (conflict.userId !== req.user.id && entity.permission && !hasPermission(req.scope, entity.permission)) {
+                return res.status(403).json({ error: `Permission required: ${entity.permission}` });
+            }
+            const current = await prisma[entity.model].findFirst({
+                where: { id: conflict.entityId, ...entity.owner(req.scope) },
+            });
+
+            if (!current) {
+                return res.status(409).json({ error: 'Record no longer exists' });
+            }
+
+            let value = current[conflict.field];
+
+            if (resolution !== 'server') {
+                value = resolution === 'client' ? conflict.clientValue : req.body.value;
+
+                // Edit from the current version so the field applies without a new conflict
+                try {
+                    await prisma.$transaction(async (tx) => {
+                        const ctx = { user: req.user, scope: req.scope, deferred: [] };
+
+                        await applySyncRecord(tx, entity, {
+                            id: conflict.entityId,
+                            version: current.version,
+                            [conflict.field]: value,
+                        }, ctx);
+                        await finishSyncChanges(tx, ctx);
+                    });
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+            }
+
+            const resolved = await prisma.syncConflict.update({
+                where: { id: conflict.id },
+                data: {
+                    status: 'RESOLVED',
+                    resolution,
+                    resolvedValue: toJsonValue(value),
+                    resolvedAt: new Date(),
+                },
+            });
+
+            const record = await prisma[entity.model].findUnique({
+                where: { id: conflict.entityId },
+            });
+
+            res.json({
+                message: 'Conflict resolved',
+                conflict: resolved,
+                record,
+            });
+        } catch (error) {
+            console.error('Resolve sync conflict error:', error);
+            res.status(500).json({ error: 'Failed to resolve sync conflict' });
+        }
     }
-});
+);
 
 /**
  * @swagger
  * /api/sync/status:
  *   get:
  *     summary: Get sync history
+ *     description: Per-device health is available at /api/devices
  *     tags: [Sync]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Sync history
  */
-router.get('/status', authenticateToken, async (req, res) => {
-    try {
-        const syncLogs = await prisma.syncLog.findMany({
-            where: {
-                userId: req.user.id,
-            },
-            orderBy: {
-                createdAt: 'desc',
-            },
-            take: 20,
-        });
-
-        const lastSuccessfulSync = syncLogs.find(log => log.status === 'success');
-
-        res.json({
-            lastSync: lastSuccessfulSync?.createdAt,
-            history: syncLogs,
-        });
-    } catch (error) {
-        console.error('Get sync status error:', error);
-        res.status(500).json({ error: 'Failed to fetch sync status' });
+router.get(
+    '/status',
+    authenticateToken,
+    [query('deviceId').optional().isUUID()],
+    validate,
+    async (req, res) => {
+        try {
+            const syncLogs = await prisma.syncLog.findMany({
+                where: {
+                    userId: req.user.id,
+                    ...(req.query.deviceId && { deviceId: req.query.deviceId }),
+                },
+                include: {
+                    device: {
+                        select: { id: true, name: true, platform: true },
+                    },
+                },
+                orderBy: {
+                    createdAt: 'desc',
+                },
+                take: 20,
+            });
+
+            const lastSuccessfulSync = syncLogs.find(log => log.status === 'success');
+
+            res.json({
+                lastSync: lastSuccessfulSync?.createdAt,
+                history: syncLogs,
+            });
+        } catch (error) {
+            console.error('Get sync status error:', error);
+            res.status(500).json({ error: 'Failed to fetch sync status' });
+        }
     }
-});
+);
 
 export default router;
@@ -9,9 +9,15 @@ import { errorHandler, notFoundHandler } from './middleware/validation.js';
 import authRoutes from './routes/auth.js';
 import organizationRoutes from './routes/organizations.js';
 import providerRoutes from './routes/providers.js';
-import transactionRoutes from './routes/transactions.js';
+import clientRoutes from './routes/clients.js';
+import productRoutes from './routes/products.js';
+import inventoryRoutes from './routes/inventory.js';
+import operationRoutes from './routes/operations.js';
+import saleRoutes from './routes/sales.js';
 import expenseRoutes from './routes/expenses.js';
+import incomeRoutes from './routes/incomes.js';
 import syncRoutes from './routes/sync.js';
+import deviceRoutes from './routes/devices.js';
 import analyticsRoutes from './routes/analytics.js';
 
 // Load environment variables
@@ -24,6 +30,12 @@ const PORT = process.env.PORT || 3000;
 // MIDDLEWARE
 // ============================================
 
+// Behind a reverse proxy (Railway) req.ip must come from X-Forwarded-For,
+// otherwise every login shares the proxy IP (TRUST_PROXY: hop count or express setting)
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // CORS
 app.use(cors({
     origin: process.env.FRONTEND_URL || '*',
@@ -82,9 +94,15 @@ app.get('/api-docs.json', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/organizations', organizationRoutes);
 app.use('/api/providers', providerRoutes);
-app.use('/api/transactions', transactionRoutes);
+app.use('/api/clients', clientRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/operations', operationRoutes);
+app.use('/api/sales', saleRoutes);
 app.use('/api/expenses', expenseRoutes);
+app.use('/api/incomes', incomeRoutes);
 app.use('/api/sync', syncRoutes);
+app.use('/api/devices', deviceRoutes);
 app.use('/api/analytics', analyticsRoutes);
 
 // ============================================
@@ -0,0 +1,158 @@
+import {
+    loginLimits,
+    progressiveDelayMs,
+    checkLoginAttempt,
+    registerLoginFailure,
+} from '../loginThrottle.js';
+
+const MINUTE_MS = 60 * 1000;
+const NOW = Date.UTC(2026, 9, 19, 12, 0, 0);
+
+const limits = loginLimits({});
+
+// Replays failed passwords one second apart, as the login route stores them
+const failTimes = (times, account = null, start = NOW) => {
+    let state = account;
+    for (let i = 0; i < times; i++) {
+        state = registerLoginFailure(state, start + i * 1000, limits);
+    }
+    return state;
+};
+
+describe('loginLimits', () => {
+    it('uses the defaults when nothing is configured', () => {
+        expect(limits).toEqual({
+            maxAccountFailures: 5,
+            maxIpFailures: 20,
+            windowMs: 15 * MINUTE_MS,
+            lockoutMs: 15 * MINUTE_MS,
+            baseDelayMs: 1000,
+            maxDelayMs: 30000,
+        });
+    });
+
+    it('reads the LOGIN_* variables and ignores invalid values', () => {
+        const configured = loginLimits({
+            LOGIN_MAX_ACCOUNT_FAILURES: '3',
+            LOGIN_LOCKOUT_MINUTES: '60',
+            LOGIN_DELAY_MAX_MS: '-1',
+            LOGIN_DELAY_BASE_MS: 'fast',
+        });
+
+        expect(configured.maxAccountFailures).toBe(3);
+        expect(configured.lockoutMs).toBe(60 * MINUTE_MS);
+        expect(configured.maxDelayMs).toBe(30000);
+        expect(configured.baseDelayMs).toBe(1000);
+    });
+});
+
+describe('progressiveDelayMs', () => {
+    it('does not delay after a single failure', () => {
+        expect(progressiveDelayMs(0, limits)).toBe(0);
+        expect(progressiveDelayMs(1, limits)).toBe(0);
+    });
+
+    it('doubles the delay with every further failure', () => {
+        expect(progressiveDelayMs(2, limits)).toBe(1000);
+        expect(progressiveDelayMs(3, limits)).toBe(2000);
+        expect(progressiveDelayMs(4, limits)).toBe(4000);
+        expect(progressiveDelayMs(5, limits)).toBe(8000);
+    });
+
+    it('never goes over the maximum delay', () => {
+        expect(progressiveDelayMs(6, limits)).toBe(16000);
+        expect(progressiveDelayMs(7, limits)).toBe(30000);
+        expect(progressiveDelayMs(50, limits)).toBe(30000);
+    });
+});
+
+describe('checkLoginAttempt', () => {
+    it('allows a first attempt', () => {
+        expect(checkLoginAttempt({ account: null, ipFailures: [], now: NOW }, limits))
+            .toEqual({ allowed: true });
+    });
+
+    it('makes the account wait the progressive delay after its last failure', () => {
+        const account = failTimes(3);
+        const lastFailure = account.lastFailedLoginAt.getTime();
+
+        expect(checkLoginAttempt({ account, ipFailures: [], now: lastFailure + 500 }, limits))
+            .toEqual({ allowed: false, reason: 'too_fast', retryAfterMs: 1500 });
+        expect(checkLoginAttempt({ account, ipFailures: [], now: lastFailure + 2000 }, limits))
+            .toEqual({ allowed: true });
+    });
+
+    it('refuses an IP once it reaches the failure limit', () => {
+        const ipFailures = Array.from({ length: limits.maxIpFailures }, (_, i) => new Date(NOW + i * 1000));
+        const now = NOW + 5 * MINUTE_MS;
+
+        expect(checkLoginAttempt({ account: null, ipFailures, now }, limits)).toEqual({
+            allowed: false,
+            reason: 'ip_blocked',
+            retryAfterMs: NOW + limits.windowMs - now,
+        });
+    });
+
+    it('lets the IP in again when its oldest failures leave the window', () => {
+        const ipFailures = Array.from({ length: limits.maxIpFailures }, (_, i) => new Date(NOW + i * MINUTE_MS / 2));
+        const now = NOW + limits.windowMs + MINUTE_MS;
+        const stillInWindow = ipFailures.filter((date) => now - date.getTime() < limits.windowMs);
+
+        expect(stillInWindow.length).toBeLessThan(limits.maxIpFailures);
+        expect(checkLoginAttempt({ account: null, ipFailures: stillInWindow, now }, limits).reason)
+            .not.toBe('ip_blocked');
+    });
+
+    it('does not refuse IPs when the limit is disabled', () => {
+        const ipFailures = Array.from({ length: 30 }, (_, i) => new Date(NOW + i * 1000));
+        const now = NOW + 10 * MINUTE_MS;
+
+        expect(checkLoginAttempt({ account: null, ipFailures, now }, { ...limits, maxIpFailures: 0 }))
+            .toEqual({ allowed: true });
+    });
+});
+
+describe('registerLoginFailure', () => {
+    it('counts failures without locking below the threshold', () => {
+        const state = failTimes(limits.maxAccountFailures - 1);
+
+        expect(state).toEqual({
+            failedLoginCount: limits.maxAccountFailures - 1,
+            lastFailedLoginAt: new Date(NOW + (limits.maxAccountFailures - 2) * 1000),
+            lockedUntil: null,
+            locked: false,
+        });
+    });
+
+    it('locks the account when it reaches the threshold', () => {
+        const state = failTimes(limits.maxAccountFailures);
+        const lastFailure = NOW + (limits.maxAccountFailures - 1) * 1000;
+
+        expect(state).toEqual({
+            failedLoginCount: 0,
+            lastFailedLoginAt: new Date(lastFailure),
+            lockedUntil: new Date(lastFailure + limits.lockoutMs),
+            locked: true,
+        });
+        expect(checkLoginAttempt({ account: state, ipFailures: [], now: lastFailure + MINUTE_MS }, limits))
+            .toEqual({ allowed: false, reason: 'account_locked', retryAfterMs: limits.lockoutMs - MINUTE_MS });
+        expect(checkLoginAttempt({ account: state, ipFailures: [], now: lastFailure + limits.lockoutMs }, limits))
+            .toEqual({ allowed: true });
+    });
+
+    it('forgets failures older than the window', () => {
+        const account = failTimes(limits.maxAccountFailures - 1);
+        const afterWindow = account.lastFailedLoginAt.getTime() + limits.windowMs;
+        const state = registerLoginFailure(account, afterWindow, limits);
+
+        expect(state.failedLoginCount).toBe(1);
+        expect(state.locked).toBe(false);
+    });
+
+    it('keeps counting failures still inside the window', () => {
+        const account = failTimes(limits.maxAccountFailures - 1);
+        const insideWindow = account.lastFailedLoginAt.getTime() + limits.windowMs - 1;
+
+        expect(registerLoginFailure(account, insideWindow, limits).locked).toBe(true);
+    });
+});
@@ -0,0 +1,159 @@
+// Interactive transaction limit to delete an account with all its personal data
+export const ACCOUNT_DELETE_TIMEOUT = 60000;
+
+// Records that can belong to an organization while keeping their creator in userId
+const ORGANIZATION_MODELS = ['product', 'provider', 'client', 'operation', 'sale', 'expense'];
+
+/**
+ * Organizations the user owns; they must be transferred or deleted before the account
+ */
+export const findOwnedOrganizations = (prisma, userId) => prisma.organization.findMany({
+    where: { ownerId: userId },
+    select: {
+        id: true,
+        name: true,
+    },
+});
+
+/**
+ * Organizations where the user created records still kept in userId
+ */
+const findOrganizationsWithRecords = async (prisma, userId) => {
+    const organizationIds = new Set();
+
+    for (const model of ORGANIZATION_MODELS) {
+        const records = await prisma[model].findMany({
+            where: {
+                userId,
+                organizationId: { not: null },
+            },
+            distinct: ['organizationId'],
+            select: { organizationId: true },
+        });
+        records.forEach((record) => organizationIds.add(record.organizationId));
+    }
+
+    return prisma.organization.findMany({
+        where: { id: { in: [...organizationIds] } },
+        select: {
+            id: true,
+            name: true,
+            ownerId: true,
+        },
+    });
+};
+
+/**
+ * Who takes over the user's records in an organization: its owner, or in organizations
+ * without one the longest-standing other admin, then any other member. Null when nobody is left.
+ */
+const findRecordsHeir = async (prisma, organization, userId) => {
+    if (organization.ownerId && organization.ownerId !== userId) {
+        return organization.ownerId;
+    }
+
+    for (const role of ['ADMIN', undefined]) {
+        const member = await prisma.organizationMember.findFirst({
+            where: {
+                organizationId: organization.id,
+                userId: { not: userId },
+                ...(role && { role }),
+            },
+            orderBy: { joinedAt: 'asc' },
+            select: { userId: true },
+        });
+
+        if (member) {
+            return member.userId;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Organizations the user still belongs to where nobody could take over their records;
+ * another member must join before the account is deleted
+ */
+export const findOrganizationsWithoutHeir = async (prisma, userId) => {
+    const organizations = await findOrganizationsWithRecords(prisma, userId);
+    const withoutHeir = [];
+
+    for (const organization of organizations) {
+        if (await findRecordsHeir(prisma, organization, userId)) {
+            continue;
+        }
+
+        const member = await prisma.organizationMember.findUnique({
+            where: {
+                userId_organizationId: { userId, organizationId: organization.id },
+            },
+        });
+
+        if (member) {
+            withoutHeir.push({ id: organization.id, name: organization.name });
+        }
+    }
+
+    return withoutHeir;
+};
+
+/**
+ * Hand the organization records created by the user to the heir of each organization,
+ * so deleting the account does not cascade into shared data
+ *
+ * Only organizations left with no member at all have no heir; nobody can reach their
+ * records anymore, so those go with the account.
+ */
+const handOverOrganizationRecords = async (prisma, userId) => {
+    const organizations = await findOrganizationsWithRecords(prisma, userId);
+
+    for (const organization of organizations) {
+        const heirId = await findRecordsHeir(prisma, organization, userId);
+
+        if (!heirId) {
+            continue;
+        }
+
+        for (const model of ORGANIZATION_MODELS) {
+            await prisma[model].updateMany({
+                where: {
+                    userId,
+                    organizationId: organization.id,
+                },
+                data: { userId: heirId },
+            });
+        }
+    }
+};
+
+/**
+ * Delete an account and its personal data; meant to run inside a transaction
+ *
+ * Personal records go children first: operations and sales restrict the deletion of
+ * their products, providers and clients, so relying on the user cascade could fail.
+ * Memberships, devices, sessions and pending tokens cascade with the user.
+ */
+export const deleteUserAccount = async (prisma, userId) => {
+    await handOverOrganizationRecords(prisma, userId);
+
+    const personal = { userId, organizationId: null };
+
+    // Payments, movements and status changes cascade with their sale or operation
+    await prisma.sale.deleteMany({ where: personal });
+    await prisma.expense.deleteMany({ where: personal });
+    await prisma.income.deleteMany({ where: { userId } });
+    await prisma.operation.deleteMany({ where: personal });
+    await prisma.product.deleteMany({ where: personal });
+    await prisma.provider.deleteMany({ where: personal });
+    await prisma.client.deleteMany({ where: personal });
+
+    // Sync bookkeeping only references the user by id
+    await prisma.tombstone.deleteMany({ where: personal });
+    await prisma.syncConflict.deleteMany({ where: { userId } });
+    await prisma.syncMutation.deleteMany({ where: { userId } });
+    await prisma.syncBatch.deleteMany({ where: { userId } });
+    await prisma.syncLog.deleteMany({ where: { userId } });
+
+    await prisma.user.delete({ where: { id: userId } });
+};
@@ -0,0 +1,113 @@
+import { roundTo, calculateSettlement } from './transactionHelpers.js';
+import { scopeWhere } from './scope.js';
+
+/**
+ * Load everything needed to cost a product in a scope: its operations (with movements
+ * and linked expenses) and its sales
+ */
+export const loadCostHistory = async (prisma, scope, productId) => {
+    const [operations, sales] = await Promise.all([
+        prisma.operation.findMany({
+            where: { ...scopeWhere(scope), productId },
+            include: {
+                moneyMovements: true,
+                productMovements: true,
+                expenses: true,
+            },
+        }),
+        prisma.sale.findMany({
+            where: { ...scopeWhere(scope), productId },
+        }),
+    ]);
+
+    return { operations, sales };
+};
+
+/**
+ * Summarize the margin of a sale from its unit cost
+ */
+export const calculateSaleMargin = (sale, unitCost) => {
+    const costOfGoodsSold = unitCost !== null ? sale.quantity * unitCost : null;
+    const grossMargin = costOfGoodsSold !== null ? sale.totalAmount - costOfGoodsSold : null;
+
+    return {
+        unitCost: unitCost !== null ? roundTo(unitCost, 4) : null,
+        costOfGoodsSold: costOfGoodsSold !== null ? roundTo(costOfGoodsSold) : null,
+        grossMargin: grossMargin !== null ? roundTo(grossMargin) : null,
+        grossMarginPercent: grossMargin !== null && sale.totalAmount > 0
+            ? roundTo((grossMargin / sale.totalAmount) * 100)
+            : null,
+    };
+};
+
+/**
+ * Moving weighted average cost of a product
+ *
+ * Each product movement enters stock at the landed cost per unit of its operation
+ * (settlement amount due plus linked business expenses, over net quantity). Sales leave
+ * stock at the average cost at the time of the sale, which is their cost of goods sold.
+ * Cancelled sales are ignored.
+ */
+export const calculateWeightedAverageCost = ({ operations = [], sales = [] }) => {
+    const events = [];
+
+    operations.forEach((operation) => {
+        const { costPerUnit } = calculateSettlement(
+            operation,
+            operation.moneyMovements,
+            operation.productMovements,
+            operation.expenses
+        );
+        const unitCost = costPerUnit ?? operation.pricePerUnit;
+
+        operation.productMovements.forEach((movement) => {
+            const quantity = movement.movementType === 'LOSS' ? -movement.netWeight : movement.netWeight;
+            events.push({
+                date: new Date(movement.movementDate),
+                order: 0, // receipts before sales on the same instant
+                quantity,
+                value: quantity * unitCost,
+            });
+        });
+    });
+
+    sales
+        .filter((sale) => sale.status !== 'CANCELLED')
+        .forEach((sale) => {
+            events.push({
+                date: new Date(sale.saleDate),
+                order: 1,
+                sale,
+            });
+        });
+
+    events.sort((a, b) => a.date - b.date || a.order - b.order);
+
+    let quantity = 0;
+    let value = 0;
+    let averageCost = null;
+    const saleCosts = {};
+
+    events.forEach((event) => {
+        if (event.sale) {
+            saleCosts[event.sale.id] = calculateSaleMargin(event.sale, averageCost);
+            quantity -= event.sale.quantity;
+            value -= event.sale.quantity * (averageCost || 0);
+        } else {
+            quantity += event.quantity;
+            value += event.value;
+        }
+
+        // Keep the last known cost while stock is empty or negative
+        if (quantity > 0) {
+            averageCost = value / quantity;
+        }
+    });
+
+    return {
+        averageCost: averageCost !== null ? roundTo(averageCost, 4) : null,
+        stock: roundTo(quantity, 3),
+        inventoryValue: roundTo(Math.max(value, 0)),
+        sales: saleCosts,
+    };
+};
@@ -1,7 +1,18 @@
 import nodemailer from 'nodemailer';
 
-// Create transporter
+// Logging emails instead of sending them is only allowed outside production
+const logsEmails = () => !process.env.EMAIL_HOST && process.env.NODE_ENV !== 'production';
+
+// Create transporter; without EMAIL_HOST (development, tests) emails are only logged
 const createTransporter = () => {
+    if (logsEmails()) {
+        return nodemailer.createTransport({ jsonTransport: true });
+    }
+
+    if (!process.env.EMAIL_HOST) {
+        throw new Error('EMAIL_HOST is required to send emails in production');
+    }
+
     return nodemailer.createTransport({
         host: process.env.EMAIL_HOST,
         port: parseInt(process.env.EMAIL_PORT),
@@ -14,13 +25,18 @@ const createTransporter = () => {
 };
 
 /**
- * Email templates
+ * Escape user provided text (names) inserted in an email
  */
-const emailTemplates = {
-    passwordReset: {
-        es: {
-            subject: 'Recuperación de contraseña - Control de Compra',
-            html: (name, resetLink) => `
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Shared layout of every email
+ */
+const emailLayout = (content, footer) => `
         <!DOCTYPE html>
         <html>
         <head>
@@ -38,7 +54,29 @@ const emailTemplates = {
             <div class="header">
               <h1>Control de Compra</h1>
             </div>
-            <div class="content">
+            <div class="content">${content}
+            </div>
+            <div class="footer">
+              <p>${footer}</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `;
+
+const footers = {
+    es: '© 2025 Control de Compra. Todos los derechos reservados.',
+    en: '© 2025 Control de Compra. All rights reserved.',
+};
+
+/**
+ * Email templates
+ */
+const emailTemplates = {
+    passwordReset: {
+        es: {
+            subject: 'Recuperación de contraseña - Control de Compra',
+            html: (name, resetLink) => emailLayout(`
               <h2>Hola ${name || 'Usuario'},</h2>
               <p>Recibimos una solicitud para restablecer tu contraseña.</p>
               <p>Haz clic en el siguiente botón para crear una nueva contraseña:</p>
@@ -46,37 +84,11 @@ const emailTemplates = {
               <p>O copia y pega este enlace en tu navegador:</p>
               <p style="word-break: break-all; color: #666;">${resetLink}</p>
               <p><strong>Este enlace expirará en 1 hora.</strong></p>
-              <p>Si no solicitaste restablecer tu contraseña, puedes ignorar este correo.</p>
-            </div>
-            <div class="footer">
-              <p>© 2025 Control de Compra. Todos los derechos reservados.</p>
-            </div>
-          </div>
-        </body>
-        </html>
-      `,
+              <p>Si no solicitaste restablecer tu contraseña, puedes ignorar este correo.</p>`, footers.es),
         },
         en: {
             subject: 'Password Recovery - Control de Compra',
-            html: (name, resetLink) => `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; }
-            .content { padding: 20px; background-color: #f9f9f9; }
-            .button { display: inline-block; padding: 12px 24px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 4px; margin: 20px 0; }
-            .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <h1>Control de Compra</h1>
-            </div>
-            <div class="content">
+            html: (name, resetLink) => emailLayout(`
               <h2>Hello ${name || 'User'},</h2>
               <p>We received a request to reset your password.</p>
               <p>Click the button below to create a new password:</p>
@@ -84,48 +96,269 @@ const emailTemplates = {
               <p>Or copy and paste this link into your browser:</p>
               <p style="word-break: break-all; color: #666;">${resetLink}</p>
               <p><strong>This link will expire in 1 hour.</strong></p>
-              <p>If you didn't request a password reset, you can ignore this email.</p>
-            </div>
-            <div class="footer">
-              <p>© 2025 Control de Compra. All rights reserved.</p>
-            </div>
-          </div>
-        </body>
-        </html>
-      `,
+              <p>If you didn't request a password reset, you can ignore this email.</p>`, footers.en),
+        },
+    },
+    welcome: {
+        es: {
+            subject: 'Bienvenido a Control de Compra - Verifica tu correo',
+            html: (name, verifyLink) => emailLayout(`
+              <h2>¡Bienvenido ${name ? escapeHtml(name) : ''}!</h2>
+              <p>Tu cuenta de Control de Compra está lista para registrar tus compras, ventas y gastos.</p>
+              <p>Confirma tu correo para poder unirte a organizaciones e invitar a tu equipo:</p>
+              <a href="${verifyLink}" class="button">Verificar Correo</a>
+              <p>O copia y pega este enlace en tu navegador:</p>
+              <p style="word-break: break-all; color: #666;">${verifyLink}</p>
+              <p><strong>Este enlace expirará en 48 horas.</strong></p>`, footers.es),
+        },
+        en: {
+            subject: 'Welcome to Control de Compra - Verify your email',
+            html: (name, verifyLink) => emailLayout(`
+              <h2>Welcome ${name ? escapeHtml(name) : ''}!</h2>
+              <p>Your Control de Compra account is ready to record your purchases, sales and expenses.</p>
+              <p>Confirm your email to join organizations and invite your team:</p>
+              <a href="${verifyLink}" class="button">Verify Email</a>
+              <p>Or copy and paste this link into your browser:</p>
+              <p style="word-break: break-all; color: #666;">${verifyLink}</p>
+              <p><strong>This link will expire in 48 hours.</strong></p>`, footers.en),
+        },
+    },
+    emailVerification: {
+        es: {
+            subject: 'Verifica tu correo - Control de Compra',
+            html: (name, verifyLink) => emailLayout(`
+              <h2>Hola ${name ? escapeHtml(name) : 'Usuario'},</h2>
+              <p>Haz clic en el siguiente botón para verificar tu correo:</p>
+              <a href="${verifyLink}" class="button">Verificar Correo</a>
+              <p>O copia y pega este enlace en tu navegador:</p>
+              <p style="word-break: break-all; color: #666;">${verifyLink}</p>
+              <p><strong>Este enlace expirará en 48 horas.</strong></p>
+              <p>Si no creaste una cuenta, puedes ignorar este correo.</p>`, footers.es),
+        },
+        en: {
+            subject: 'Verify your email - Control de Compra',
+            html: (name, verifyLink) => emailLayout(`
+              <h2>Hello ${name ? escapeHtml(name) : 'User'},</h2>
+              <p>Click the button below to verify your email:</p>
+              <a href="${verifyLink}" class="button">Verify Email</a>
+              <p>Or copy and paste this link into your browser:</p>
+              <p style="word-break: break-all; color: #666;">${verifyLink}</p>
+              <p><strong>This link will expire in 48 hours.</strong></p>
+              <p>If you didn't create an account, you can ignore this email.</p>`, footers.en),
+        },
+    },
+    passwordChanged: {
+        es: {
+            subject: 'Tu contraseña fue cambiada - Control de Compra',
+            html: (name, changedAt) => emailLayout(`
+              <h2>Hola ${name ? escapeHtml(name) : 'Usuario'},</h2>
+              <p>La contraseña de tu cuenta fue cambiada el ${changedAt.toLocaleString('es')}.</p>
+              <p>Por seguridad cerramos tus sesiones en los demás dispositivos; vuelve a iniciar sesión en ellos.</p>
+              <p><strong>Si no fuiste tú, restablece tu contraseña de inmediato y contáctanos.</strong></p>`, footers.es),
+        },
+        en: {
+            subject: 'Your password was changed - Control de Compra',
+            html: (name, changedAt) => emailLayout(`
+              <h2>Hello ${name ? escapeHtml(name) : 'User'},</h2>
+              <p>The password of your account was changed on ${changedAt.toLocaleString('en')}.</p>
+              <p>For your security we signed you out of your other devices; sign in again on them.</p>
+              <p><strong>If this wasn't you, reset your password right away and contact us.</strong></p>`, footers.en),
+        },
+    },
+    emailChange: {
+        es: {
+            subject: 'Confirma tu nuevo correo - Control de Compra',
+            html: (name, confirmLink) => emailLayout(`
+              <h2>Hola ${name ? escapeHtml(name) : 'Usuario'},</h2>
+              <p>Pediste usar esta dirección como el nuevo correo de tu cuenta.</p>
+              <p>Haz clic en el siguiente botón para confirmarlo:</p>
+              <a href="${confirmLink}" class="button">Confirmar Correo</a>
+              <p>O copia y pega este enlace en tu navegador:</p>
+              <p style="word-break: break-all; color: #666;">${confirmLink}</p>
+              <p><strong>Este enlace expirará en 24 horas.</strong></p>
+              <p>Si no lo pediste, puedes ignorar este correo; tu cuenta no cambiará.</p>`, footers.es),
+        },
+        en: {
+            subject: 'Confirm your new email - Control de Compra',
+            html: (name, confirmLink) => emailLayout(`
+              <h2>Hello ${name ? escapeHtml(name) : 'User'},</h2>
+              <p>You asked to use this address as the new email of your account.</p>
+              <p>Click the button below to confirm it:</p>
+              <a href="${confirmLink}" class="button">Confirm Email</a>
+              <p>Or copy and paste this link into your browser:</p>
+              <p style="word-break: break-all; color: #666;">${confirmLink}</p>
+              <p><strong>This link will expire in 24 hours.</strong></p>
+              <p>If you didn't ask for it, you can ignore this email; your account won't change.</p>`, footers.en),
+        },
+    },
+    accountLocked: {
+        es: {
+            subject: 'Tu cuenta fue bloqueada temporalmente - Control de Compra',
+            html: (name, unlockLink, lockoutMinutes) => emailLayout(`
+              <h2>Hola ${name ? escapeHtml(name) : 'Usuario'},</h2>
+              <p>Hubo varios intentos fallidos de iniciar sesión en tu cuenta, así que la bloqueamos durante ${lockoutMinutes} minutos.</p>
+              <p>Si fuiste tú, puedes desbloquearla ahora:</p>
+              <a href="${unlockLink}" class="button">Desbloquear Cuenta</a>
+              <p>O copia y pega este enlace en tu navegador:</p>
+              <p style="word-break: break-all; color: #666;">${unlockLink}</p>
+              <p><strong>Si no fuiste tú, alguien podría estar intentando adivinar tu contraseña; te recomendamos cambiarla.</strong></p>`, footers.es),
+        },
+        en: {
+            subject: 'Your account was temporarily locked - Control de Compra',
+            html: (name, unlockLink, lockoutMinutes) => emailLayout(`
+              <h2>Hello ${name ? escapeHtml(name) : 'User'},</h2>
+              <p>There were several failed attempts to sign in to your account, so we locked it for ${lockoutMinutes} minutes.</p>
+              <p>If it was you, you can unlock it now:</p>
+              <a href="${unlockLink}" class="button">Unlock Account</a>
+              <p>Or copy and paste this link into your browser:</p>
+              <p style="word-break: break-all; color: #666;">${unlockLink}</p>
+              <p><strong>If it wasn't you, someone may be trying to guess your password; we recommend changing it.</strong></p>`, footers.en),
+        },
+    },
+    organizationInvitation: {
+        es: {
+            subject: (organizationName) => `Invitación a ${organizationName} - Control de Compra`,
+            html: (inviterName, organizationName, inviteLink, expiresInDays) => emailLayout(`
+              <h2>¡Hola!</h2>
+              <p>${inviterName ? escapeHtml(inviterName) : 'Un administrador'} te invitó a unirte a <strong>${escapeHtml(organizationName)}</strong> en Control de Compra.</p>
+              <p>Crea tu cuenta con este correo (o inicia sesión) y acepta la invitación:</p>
+              <a href="${inviteLink}" class="button">Aceptar Invitación</a>
+              <p>O copia y pega este enlace en tu navegador:</p>
+              <p style="word-break: break-all; color: #666;">${inviteLink}</p>
+              <p><strong>Esta invitación expirará en ${expiresInDays} días.</strong></p>
+              <p>Si no esperabas esta invitación, puedes ignorar este correo.</p>`, footers.es),
+        },
+        en: {
+            subject: (organizationName) => `Invitation to ${organizationName} - Control de Compra`,
+            html: (inviterName, organizationName, inviteLink, expiresInDays) => emailLayout(`
+              <h2>Hello!</h2>
+              <p>${inviterName ? escapeHtml(inviterName) : 'An administrator'} invited you to join <strong>${escapeHtml(organizationName)}</strong> on Control de Compra.</p>
+              <p>Create your account with this email (or sign in) and accept the invitation:</p>
+              <a href="${inviteLink}" class="button">Accept Invitation</a>
+              <p>Or copy and paste this link into your browser:</p>
+              <p style="word-break: break-all; color: #666;">${inviteLink}</p>
+              <p><strong>This invitation will expire in ${expiresInDays} days.</strong></p>
+              <p>If you weren't expecting this invitation, you can ignore this email.</p>`, footers.en),
         },
     },
 };
 
+/**
+ * Send an email, logging what was sent
+ */
+const sendEmail = async (mailOptions, description) => {
+    const transporter = createTransporter();
+
+    try {
+        const info = await transporter.sendMail({ from: process.env.EMAIL_FROM, ...mailOptions });
+        console.log(`${description} email sent to ${mailOptions.to}`);
+
+        if (logsEmails()) {
+            console.log(info.message);
+        }
+    } catch (error) {
+        console.error('Failed to send email:', error);
+        throw new Error('Failed to send email');
+    }
+};
+
 /**
  * Send password reset email
  */
 export const sendPasswordResetEmail = async (email, name, resetToken, language = 'es') => {
-    const transporter = createTransporter();
     const resetLink = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
-
     const template = emailTemplates.passwordReset[language] || emailTemplates.passwordReset.es;
 
-    const mailOptions = {
-        from: process.env.EMAIL_FROM,
+    await sendEmail({
         to: email,
         subject: template.subject,
         html: template.html(name, resetLink),
-    };
+    }, 'Password reset');
+};
 
-    try {
-        await transporter.sendMail(mailOptions);
-        console.log(`Password reset email sent to ${email}`);
-    } catch (error) {
-        console.error('Failed to send email:', error);
-        throw new Error('Failed to send email');
-    }
+/**
+ * Send the confirmation that the password of an account changed
+ */
+export const sendPasswordChangedEmail = async (email, name, language = 'es') => {
+    const template = emailTemplates.passwordChanged[language] || emailTemplates.passwordChanged.es;
+
+    await sendEmail({
+        to: email,
+        subject: template.subject,
+        html: template.html(name, new Date()),
+    }, 'Password changed');
+};
+
+/**
+ * Send the confirmation link of an email change to the new address
+ */
+export const sendEmailChangeEmail = async (newEmail, name, confirmToken, language = 'es') => {
+    const confirmLink = `${process.env.FRONTEND_URL}/confirm-email-change?token=${confirmToken}`;
+    const template = emailTemplates.emailChange[language] || emailTemplates.emailChange.es;
+
+    await sendEmail({
+        to: newEmail,
+        subject: template.subject,
+        html: template.html(name, confirmLink),
+    }, 'Email change');
+};
+
+/**
+ * Send an organization invitation (the invitee may not have an account yet)
+ */
+export const sendOrganizationInvitationEmail = async (
+    email,
+    { inviterName, organizationName, inviteToken, expiresInDays },
+    language = 'es'
+) => {
+    const inviteLink = `${process.env.FRONTEND_URL}/accept-invitation?token=${inviteToken}`;
+    const template = emailTemplates.organizationInvitation[language] || emailTemplates.organizationInvitation.es;
+
+    await sendEmail({
+        to: email,
+        subject: template.subject(organizationName),
+        html: template.html(inviterName, organizationName, inviteLink, expiresInDays),
+    }, 'Organization invitation');
+};
+
+const verifyEmailLink = (verifyToken) => `${process.env.FRONTEND_URL}/verify-email?token=${verifyToken}`;
+
+/**
+ * Send welcome email, with the link to verify the address
+ */
+export const sendWelcomeEmail = async (email, name, verifyToken, language = 'es') => {
+    const template = emailTemplates.welcome[language] || emailTemplates.welcome.es;
+
+    await sendEmail({
+        to: email,
+        subject: template.subject,
+        html: template.html(name, verifyEmailLink(verifyToken)),
+    }, 'Welcome');
 };
 
 /**
- * Send welcome email
+ * Send a new email verification link
  */
-export const sendWelcomeEmail = async (email, name, language = 'es') => {
-    // TODO: Implement welcome email
-    console.log(`Welcome email would be sent to ${email}`);
+export const sendVerificationEmail = async (email, name, verifyToken, language = 'es') => {
+    const template = emailTemplates.emailVerification[language] || emailTemplates.emailVerification.es;
+
+    await sendEmail({
+        to: email,
+        subject: template.subject,
+        html: template.html(name, verifyEmailLink(verifyToken)),
+    }, 'Email verification');
+};
+
+/**
+ * Send the account locked notice, with a link to unlock it before the lockout ends
+ */
+export const sendAccountLockedEmail = async (email, name, unlockToken, lockoutMinutes, language = 'es') => {
+    const template = emailTemplates.accountLocked[language] || emailTemplates.accountLocked.es;
+    const unlockLink = `${process.env.FRONTEND_URL}/unlock-account?token=${unlockToken}`;
+
+    await sendEmail({
+        to: email,
+        subject: template.subject,
+        html: template.html(name, unlockLink, lockoutMinutes),
+    }, 'Account locked');
 };
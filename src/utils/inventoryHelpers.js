@@ -0,0 +1,100 @@
+import { roundTo } from './transactionHelpers.js';
+import { scopeWhere } from './scope.js';
+
+// Sign applied to each movement when computing stock on hand
+const STOCK_SIGNS = {
+    DELIVERY: 1,
+    ADJUSTMENT: 1, // adjustments are already signed
+    LOSS: -1,
+    SALE: -1,
+};
+
+/**
+ * Lock a product row until the transaction ends, so concurrent sales
+ * are checked against the stock one after another
+ */
+export const lockProductStock = (prisma, productId) => prisma.$queryRaw`SELECT id FROM "Product" WHERE id = ${productId} FOR UPDATE`;
+
+/**
+ * Compute stock on hand for a product in a scope (personal or organization)
+ * Stock = deliveries + adjustments - losses - sold quantity (cancelled sales excluded)
+ */
+export const calculateStock = async (prisma, scope, productId) => {
+    const [movements, sales] = await Promise.all([
+        prisma.productMovement.groupBy({
+            by: ['movementType'],
+            where: {
+                operation: { ...scopeWhere(scope), productId },
+            },
+            _sum: { netWeight: true },
+        }),
+        prisma.sale.aggregate({
+            where: {
+                ...scopeWhere(scope),
+                productId,
+                status: { not: 'CANCELLED' },
+            },
+            _sum: { quantity: true },
+        }),
+    ]);
+
+    const sumFor = (type) => movements.find((m) => m.movementType === type)?._sum.netWeight || 0;
+
+    const delivered = sumFor('DELIVERY');
+    const adjusted = sumFor('ADJUSTMENT');
+    const lost = sumFor('LOSS');
+    const sold = sales._sum.quantity || 0;
+
+    return {
+        delivered: roundTo(delivered, 3),
+        adjusted: roundTo(adjusted, 3),
+        lost: roundTo(lost, 3),
+        sold: roundTo(sold, 3),
+        stock: roundTo(delivered + adjusted - lost - sold, 3),
+    };
+};
+
+/**
+ * Build the chronological stock ledger of a product
+ * Every entry carries the running balance after it is applied
+ */
+export const buildStockLedger = (productMovements = [], sales = []) => {
+    const entries = [
+        ...productMovements.map((movement) => ({
+            date: movement.movementDate,
+            type: movement.movementType,
+            quantity: STOCK_SIGNS[movement.movementType] * movement.netWeight,
+            description: movement.description,
+            reference: {
+                type: 'operation',
+                id: movement.operationId,
+                number: movement.operation?.operationNumber,
+                movementId: movement.id,
+            },
+        })),
+        ...sales
+            .filter((sale) => sale.status !== 'CANCELLED')
+            .map((sale) => ({
+                date: sale.saleDate,
+                type: 'SALE',
+                quantity: STOCK_SIGNS.SALE * sale.quantity,
+                description: sale.client ? `Sale to ${sale.client.name}` : 'Sale',
+                reference: {
+                    type: 'sale',
+                    id: sale.id,
+                    number: sale.saleNumber,
+                },
+            })),
+    ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    let balance = 0;
+
+    return entries.map((entry) => {
+        balance += entry.quantity;
+        return {
+            ...entry,
+            quantity: roundTo(entry.quantity, 3),
+            balance: roundTo(balance, 3),
+        };
+    });
+};
@@ -0,0 +1,113 @@
+/**
+ * Login brute-force policy
+ *
+ * Pure functions (no database, no clock of their own) so the rules can be checked in
+ * isolation; the login route loads the state, asks the policy and stores the result.
+ * - Per account: every failure makes the next attempt wait longer, and after
+ *   maxAccountFailures within the window the account is locked for lockoutMs.
+ * - Per IP: after maxIpFailures within the window the IP is refused until the
+ *   oldest of those failures leaves the window.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const readInt = (value, fallback) => {
+    const parsed = parseInt(value);
+    return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+/**
+ * Limits from the environment (LOGIN_* variables), with safe defaults
+ */
+export const loginLimits = (env = process.env) => ({
+    maxAccountFailures: readInt(env.LOGIN_MAX_ACCOUNT_FAILURES, 5),
+    maxIpFailures: readInt(env.LOGIN_MAX_IP_FAILURES, 20),
+    windowMs: readInt(env.LOGIN_FAILURE_WINDOW_MINUTES, 15) * MINUTE_MS,
+    lockoutMs: readInt(env.LOGIN_LOCKOUT_MINUTES, 15) * MINUTE_MS,
+    baseDelayMs: readInt(env.LOGIN_DELAY_BASE_MS, 1000),
+    maxDelayMs: readInt(env.LOGIN_DELAY_MAX_MS, 30000),
+});
+
+/**
+ * Wait required after the given number of consecutive failures:
+ * none after the first, then doubling from baseDelayMs up to maxDelayMs
+ */
+export const progressiveDelayMs = (failures, limits) => {
+    if (failures < 2) {
+        return 0;
+    }
+    return Math.min(limits.baseDelayMs * 2 ** (failures - 2), limits.maxDelayMs);
+};
+
+/**
+ * Failures of an account still inside the window; older ones are forgotten
+ */
+export const activeAccountFailures = (account, now, limits) => {
+    if (!account?.lastFailedLoginAt || now - account.lastFailedLoginAt >= limits.windowMs) {
+        return 0;
+    }
+    return account.failedLoginCount;
+};
+
+/**
+ * Whether a login attempt may check the password
+ *
+ * account: { failedLoginCount, lastFailedLoginAt, lockedUntil } or null for unknown emails
+ * ipFailures: dates of the IP's failures inside the window, oldest first
+ * now: current time in milliseconds (Date.now())
+ * Returns { allowed: true } or { allowed: false, reason, retryAfterMs }
+ */
+export const checkLoginAttempt = ({ account, ipFailures, now }, limits) => {
+    if (account?.lockedUntil && account.lockedUntil > now) {
+        return { allowed: false, reason: 'account_locked', retryAfterMs: account.lockedUntil - now };
+    }
+
+    if (limits.maxIpFailures > 0 && ipFailures.length >= limits.maxIpFailures) {
+        // Allowed again once enough failures leave the window to go under the limit
+        const blocking = ipFailures[ipFailures.length - limits.maxIpFailures];
+        return { allowed: false, reason: 'ip_blocked', retryAfterMs: blocking.getTime() + limits.windowMs - now };
+    }
+
+    const accountFailures = activeAccountFailures(account, now, limits);
+    const accountWait = accountFailures > 0
+        ? account.lastFailedLoginAt.getTime() + progressiveDelayMs(accountFailures, limits) - now
+        : 0;
+    const lastIpFailure = ipFailures[ipFailures.length - 1];
+    const ipWait = lastIpFailure
+        ? lastIpFailure.getTime() + progressiveDelayMs(ipFailures.length, limits) - now
+        : 0;
+    const retryAfterMs = Math.max(accountWait, ipWait);
+
+    if (retryAfterMs > 0) {
+        return { allowed: false, reason: 'too_fast', retryAfterMs };
+    }
+
+    return { allowed: true };
+};
+
+/**
+ * New account state after a failed password
+ *
+ * Returns { failedLoginCount, lastFailedLoginAt, lockedUntil, locked }; when the failure
+ * locks the account its count starts again, so the lockout is what slows the next round.
+ */
+export const registerLoginFailure = (account, now, limits) => {
+    const failedLoginCount = activeAccountFailures(account, now, limits) + 1;
+    const lastFailedLoginAt = new Date(now);
+
+    if (limits.maxAccountFailures > 0 && failedLoginCount >= limits.maxAccountFailures) {
+        return {
+            failedLoginCount: 0,
+            lastFailedLoginAt,
+            lockedUntil: new Date(now + limits.lockoutMs),
+            locked: true,
+        };
+    }
+
+    return {
+        failedLoginCount,
+        lastFailedLoginAt,
+        lockedUntil: null,
+        locked: false,
+    };
+};
@@ -0,0 +1,65 @@
+import { scopeWhere } from './scope.js';
+
+// Balances below one cent are considered settled
+const BALANCE_EPSILON = 0.01;
+
+/**
+ * Check whether an operation settlement leaves nothing pending with the provider
+ */
+export const isSettled = (settlement) => Math.abs(settlement.balance) < BALANCE_EPSILON;
+
+/**
+ * Record a change of OperationStatus (who, when and why)
+ * Accepts the Prisma client or a transaction client
+ */
+export const recordStatusChange = (prisma, {
+    operationId,
+    fromStatus = null,
+    toStatus,
+    changedById,
+    reason,
+    pendingBalance,
+    forced = false,
+}) => prisma.operationStatusChange.create({
+    data: {
+        operationId,
+        fromStatus,
+        toStatus,
+        changedById,
+        reason,
+        pendingBalance,
+        forced,
+    },
+});
+
+/**
+ * Lock an operation row until the transaction ends, so movements, closes and reopens
+ * of the same operation run one after another
+ */
+export const lockOperation = (prisma, operationId) => prisma.$queryRaw`SELECT id FROM "Operation" WHERE id = ${operationId} FOR UPDATE`;
+
+/**
+ * Find an operation of the scope and make sure it still accepts changes
+ * Call it inside a transaction: the operation stays locked (and open) until it ends
+ * Returns { operation } or { status, error } ready to be sent back
+ */
+export const findOpenOperation = async (prisma, scope, operationId) => {
+    await lockOperation(prisma, operationId);
+
+    const operation = await prisma.operation.findFirst({
+        where: {
+            id: operationId,
+            ...scopeWhere(scope),
+        },
+    });
+
+    if (!operation) {
+        return { status: 404, error: 'Operation not found' };
+    }
+
+    if (operation.status !== 'OPEN') {
+        return { status: 409, error: 'Operation is closed and cannot be modified' };
+    }
+
+    return { operation };
+};
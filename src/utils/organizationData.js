@@ -0,0 +1,92 @@
+// Interactive transaction limit to export and delete a whole organization
+export const ORGANIZATION_DELETE_TIMEOUT = 60000;
+
+/**
+ * Snapshot of everything an organization owns, offered before deleting it
+ */
+export const exportOrganizationData = async (prisma, organizationId) => {
+    const where = { organizationId };
+
+    const [organization, products, providers, clients, operations, sales, expenses] = await Promise.all([
+        prisma.organization.findUnique({
+            where: { id: organizationId },
+            include: {
+                owner: {
+                    select: {
+                        id: true,
+                        email: true,
+                        name: true,
+                    },
+                },
+                members: {
+                    include: {
+                        user: {
+                            select: {
+                                id: true,
+                                email: true,
+                                name: true,
+                            },
+                        },
+                        customRole: {
+                            select: {
+                                id: true,
+                                name: true,
+                            },
+                        },
+                    },
+                },
+                roles: true,
+            },
+        }),
+        prisma.product.findMany({ where }),
+        prisma.provider.findMany({ where }),
+        prisma.client.findMany({ where }),
+        prisma.operation.findMany({
+            where,
+            include: {
+                moneyMovements: true,
+                productMovements: true,
+                statusChanges: true,
+            },
+        }),
+        prisma.sale.findMany({
+            where,
+            include: { payments: true },
+        }),
+        prisma.expense.findMany({ where }),
+    ]);
+
+    return {
+        exportedAt: new Date(),
+        organization,
+        products,
+        providers,
+        clients,
+        operations,
+        sales,
+        expenses,
+    };
+};
+
+/**
+ * Delete an organization with all its data; meant to run inside a transaction
+ *
+ * Records go children first: operations and sales restrict the deletion of their
+ * products, providers and clients, so relying on the organization cascade could fail.
+ */
+export const deleteOrganizationData = async (prisma, organizationId) => {
+    const where = { organizationId };
+
+    // Payments, movements and status changes cascade with their sale or operation
+    await prisma.sale.deleteMany({ where });
+    await prisma.expense.deleteMany({ where });
+    await prisma.operation.deleteMany({ where });
+    await prisma.product.deleteMany({ where });
+    await prisma.provider.deleteMany({ where });
+    await prisma.client.deleteMany({ where });
+    await prisma.tombstone.deleteMany({ where });
+    await prisma.syncConflict.deleteMany({ where });
+
+    // Members, roles and invitations cascade with the organization
+    await prisma.organization.delete({ where: { id: organizationId } });
+};
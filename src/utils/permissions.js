@@ -0,0 +1,44 @@
+/**
+ * Named permissions checked on every route (see requirePermission)
+ */
+export const PERMISSIONS = {
+    'catalog.manage': 'Create and edit products, providers and clients',
+    'operation.manage': 'Open operations and edit their details',
+    'operation.close': 'Close operations',
+    'operation.reopen': 'Reopen closed operations',
+    'movement.record': 'Record deliveries, advances and payments of operations',
+    'price.edit': 'Change the price of operations and sales once created',
+    'sale.manage': 'Register sales, their payments and cancellations',
+    'expense.manage': 'Register and edit expenses',
+    'record.delete': 'Delete products, providers, clients and expenses',
+    'analytics.view': 'See the dashboard, margins, sale costs and exports',
+    'member.manage': 'Add and remove members, assign roles and define custom roles',
+};
+
+export const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+/**
+ * Permissions of the built-in roles, used when a member has no custom role
+ */
+export const ROLE_PERMISSIONS = {
+    ADMIN: PERMISSION_NAMES,
+    OPERATOR: PERMISSION_NAMES.filter(
+        (permission) => !['operation.reopen', 'record.delete', 'member.manage'].includes(permission)
+    ),
+};
+
+/**
+ * Permissions of an organization member (membership loaded with its customRole)
+ */
+export const memberPermissions = (membership) => membership.customRole?.permissions
+    ?? ROLE_PERMISSIONS[membership.role];
+
+/**
+ * Permissions in the personal workspace: users own all their data,
+ * reopening operations stays reserved to admins
+ */
+export const personalPermissions = (role) => (role === 'ADMIN'
+    ? PERMISSION_NAMES
+    : PERMISSION_NAMES.filter((permission) => permission !== 'operation.reopen'));
+
+export const hasPermission = (scope, permission) => scope.permissions.includes(permission);
@@ -0,0 +1,27 @@
+import { scopeData, scopeWhere } from './scope.js';
+
+/**
+ * Products every new user starts with
+ */
+export const DEFAULT_PRODUCTS = [
+    { name: 'Cacao', unit: 'kg', description: 'Cacao en grano' },
+    { name: 'Café', unit: 'kg', description: 'Café pergamino' },
+];
+
+/**
+ * Create the default products in a scope (personal or organization)
+ * Products the scope already has (same name) are skipped
+ */
+export const createDefaultProducts = async (prisma, scope) => {
+    const existing = await prisma.product.findMany({
+        where: scopeWhere(scope),
+        select: { name: true },
+    });
+    const names = existing.map((product) => product.name.toLowerCase());
+
+    return prisma.product.createMany({
+        data: DEFAULT_PRODUCTS
+            .filter((product) => !names.includes(product.name.toLowerCase()))
+            .map((product) => ({ ...product, ...scopeData(scope) })),
+    });
+};
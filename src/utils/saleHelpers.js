@@ -0,0 +1,79 @@
+import { generateDocumentNumber, roundTo } from './transactionHelpers.js';
+
+// Tolerance for float amounts (half a cent)
+const AMOUNT_EPSILON = 0.005;
+
+/**
+ * Generate unique sale number
+ * Format: V-YYYYMMDD-XXXX (same scheme as operation contract numbers)
+ * Example: V-20250127-A3F9
+ */
+export const generateSaleNumber = () => generateDocumentNumber('V');
+
+/**
+ * Derive the sale status from the amount paid so far
+ */
+export const resolveSaleStatus = (totalAmount, paidAmount) => {
+    if (paidAmount <= AMOUNT_EPSILON) {
+        return 'PENDING';
+    }
+
+    if (paidAmount >= totalAmount - AMOUNT_EPSILON) {
+        return 'COMPLETED';
+    }
+
+    return 'PARTIAL';
+};
+
+/**
+ * Lock a sale row until the transaction ends, so concurrent payments
+ * are checked against the total one after another
+ */
+export const lockSale = (prisma, saleId) => prisma.$queryRaw`SELECT id FROM "Sale" WHERE id = ${saleId} FOR UPDATE`;
+
+/**
+ * Summarize payments received for a sale
+ */
+export const calculateSalePayments = (sale, payments = []) => {
+    const paidAmount = payments.reduce((sum, payment) => sum + payment.amount, 0);
+    const pendingAmount = Math.max(sale.totalAmount - paidAmount, 0);
+    const lastPayment = payments.reduce(
+        (latest, payment) => (!latest || payment.paymentDate > latest ? payment.paymentDate : latest),
+        null
+    );
+
+    return {
+        totalAmount: sale.totalAmount,
+        paidAmount: roundTo(paidAmount),
+        pendingAmount: roundTo(pendingAmount),
+        lastPaymentDate: lastPayment,
+        paymentProgress: sale.totalAmount > 0
+            ? roundTo((paidAmount / sale.totalAmount) * 100)
+            : 0,
+    };
+};
+
+/**
+ * Check whether a new payment would exceed the sale total
+ */
+export const exceedsSaleTotal = (sale, paidAmount, newAmount) =>
+    paidAmount + newAmount > sale.totalAmount + AMOUNT_EPSILON;
+
+/**
+ * Summarize what a client owes across their sales
+ * Cancelled sales are ignored; sales must include their payments
+ */
+export const calculateReceivable = (sales = []) => {
+    const activeSales = sales.filter((sale) => sale.status !== 'CANCELLED');
+    const payments = activeSales.flatMap((sale) => sale.payments || []);
+
+    const totalSold = activeSales.reduce((sum, sale) => sum + sale.totalAmount, 0);
+    const { paidAmount, lastPaymentDate } = calculateSalePayments({ totalAmount: totalSold }, payments);
+
+    return {
+        totalSold: roundTo(totalSold),
+        totalPaid: paidAmount,
+        receivable: roundTo(Math.max(totalSold - paidAmount, 0)),
+        lastPaymentDate,
+    };
+};
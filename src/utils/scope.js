@@ -0,0 +1,33 @@
+import { personalPermissions } from './permissions.js';
+
+/**
+ * A scope is the workspace a request works in: the user's personal data
+ * (organizationId null) or an organization the user is a member of.
+ * { userId, organizationId, role, permissions } - role and permissions are the membership's inside an organization
+ */
+
+/**
+ * Where clause for records visible in the scope
+ * Every member sees the records of the organization; personal records stay with their owner
+ */
+export const scopeWhere = (scope) => (scope.organizationId
+    ? { organizationId: scope.organizationId }
+    : { userId: scope.userId, organizationId: null });
+
+/**
+ * Ownership fields for records created in the scope (the creator is always kept in userId)
+ */
+export const scopeData = (scope) => ({
+    userId: scope.userId,
+    organizationId: scope.organizationId,
+});
+
+/**
+ * The personal workspace of a user
+ */
+export const personalScope = (user) => ({
+    userId: user.id,
+    organizationId: null,
+    role: user.role,
+    permissions: personalPermissions(user.role),
+});
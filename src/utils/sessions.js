@@ -0,0 +1,138 @@
+import jwt from 'jsonwebtoken';
+import { generateToken, hashToken } from './tokens.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Sessions expire when their refresh token is not used for REFRESH_TOKEN_EXPIRES_DAYS
+ */
+const sessionExpiry = () => new Date(Date.now() + (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30) * DAY_MS);
+
+/**
+ * Short-lived access token, only valid while its session is not revoked
+ */
+export const signAccessToken = (user, sessionId) => jwt.sign(
+    { userId: user.id, email: user.email, role: user.role, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+);
+
+const issueRefreshToken = async (prisma, sessionId) => {
+    const refreshToken = generateToken();
+
+    await prisma.refreshToken.create({
+        data: {
+            tokenHash: hashToken(refreshToken),
+            sessionId,
+        },
+    });
+
+    return refreshToken;
+};
+
+/**
+ * Start a session on login; returns the tokens for the client
+ */
+export const createSession = async (prisma, user, req) => {
+    const session = await prisma.session.create({
+        data: {
+            userId: user.id,
+            userAgent: req.headers['user-agent'],
+            ipAddress: req.ip,
+            expiresAt: sessionExpiry(),
+        },
+    });
+
+    return {
+        token: signAccessToken(user, session.id),
+        refreshToken: await issueRefreshToken(prisma, session.id),
+    };
+};
+
+/**
+ * Revoke one session; its access and refresh tokens stop working
+ */
+export const revokeSession = (prisma, sessionId, reason) => prisma.session.updateMany({
+    where: {
+        id: sessionId,
+        revokedAt: null,
+    },
+    data: {
+        revokedAt: new Date(),
+        revokedReason: reason,
+    },
+});
+
+/**
+ * Revoke every session of a user, optionally keeping one (the current)
+ */
+export const revokeUserSessions = (prisma, userId, reason, exceptSessionId) => prisma.session.updateMany({
+    where: {
+        userId,
+        revokedAt: null,
+        ...(exceptSessionId && { id: { not: exceptSessionId } }),
+    },
+    data: {
+        revokedAt: new Date(),
+        revokedReason: reason,
+    },
+});
+
+/**
+ * Exchange a refresh token for a new pair of tokens
+ *
+ * Each refresh token is used once. Presenting one that was already exchanged means it
+ * was copied (stolen phone, leaked backup), so the whole session is revoked and both
+ * the thief and the owner have to log in again.
+ * Returns { error } when refused, { userId, token, refreshToken } otherwise.
+ */
+export const rotateRefreshToken = async (prisma, refreshToken) => {
+    const stored = await prisma.refreshToken.findUnique({
+        where: { tokenHash: hashToken(refreshToken) },
+        include: {
+            session: {
+                include: { user: true },
+            },
+        },
+    });
+
+    if (!stored) {
+        return { error: 'Invalid refresh token' };
+    }
+
+    const { session } = stored;
+
+    if (session.revokedAt || session.expiresAt <= new Date()) {
+        return { error: 'Session expired or revoked' };
+    }
+
+    // Claimed once, even with concurrent requests
+    const claimed = await prisma.refreshToken.updateMany({
+        where: {
+            id: stored.id,
+            rotatedAt: null,
+        },
+        data: {
+            rotatedAt: new Date(),
+        },
+    });
+
+    if (claimed.count === 0) {
+        await revokeSession(prisma, session.id, 'token_reuse');
+        return { error: 'Refresh token already used, session revoked' };
+    }
+
+    await prisma.session.update({
+        where: { id: session.id },
+        data: {
+            lastUsedAt: new Date(),
+            expiresAt: sessionExpiry(),
+        },
+    });
+
+    return {
+        userId: session.userId,
+        token: signAccessToken(session.user, session.id),
+        refreshToken: await issueRefreshToken(prisma, session.id),
+    };
+};
@@ -0,0 +1,111 @@
+import { applySyncRecord, applySyncDeletion, finishSyncChanges, syncEntitiesFor } from './syncEntities.js';
+
+// Interactive transaction limit for a whole push (large first syncs on slow devices)
+export const SYNC_BATCH_TIMEOUT = 60000;
+
+/**
+ * Find a batch already applied for the user
+ */
+export const findSyncBatch = (prisma, userId, batchId) => prisma.syncBatch.findUnique({
+    where: {
+        userId_batchId: { userId, batchId },
+    },
+});
+
+/**
+ * Apply one mutation unless its id was already processed
+ * A rejected mutation throws with `mutation` describing it, so the whole batch rolls back
+ */
+const applyMutation = async (prisma, batch, entity, entityId, mutationId, apply) => {
+    const processed = await prisma.syncMutation.findUnique({
+        where: {
+            userId_mutationId: { userId: batch.userId, mutationId },
+        },
+    });
+
+    if (processed) {
+        return 'duplicate';
+    }
+
+    let outcome;
+    try {
+        outcome = await apply();
+    } catch (error) {
+        const failure = new Error(error.message);
+        failure.mutation = { mutationId, entityType: entity.key, id: entityId };
+        throw failure;
+    }
+
+    await prisma.syncMutation.create({
+        data: {
+            mutationId,
+            batchId: batch.batchId,
+            userId: batch.userId,
+            entityType: entity.key,
+            entityId,
+            outcome,
+        },
+    });
+
+    return outcome;
+};
+
+/**
+ * Apply a pushed batch in a scope; meant to run inside a transaction
+ *
+ * Records are applied parent first, then operations pushed as closed are closed, then deletions
+ * children first. Mutations already processed (in this or an earlier batch) are counted as duplicates. The response is stored with the batch
+ * so a retried batch returns it unchanged.
+ */
+export const applySyncBatch = async (prisma, payload, user, scope) => {
+    const batch = { batchId: payload.batchId, userId: user.id };
+    const ctx = { user, scope, conflicts: [], deferred: [] };
+    const entities = syncEntitiesFor(scope);
+    const results = {};
+    let recordsCount = 0;
+
+    for (const entity of entities) {
+        const records = payload[entity.key] || [];
+        results[entity.key] = { created: 0, updated: 0, skipped: 0, deleted: 0, duplicate: 0 };
+        recordsCount += records.length;
+
+        for (const record of records) {
+            const outcome = await applyMutation(prisma, batch, entity, record.id, record.mutationId,
+                () => applySyncRecord(prisma, entity, record, ctx));
+            results[entity.key][outcome]++;
+        }
+    }
+
+    // Operations pushed as closed are checked once their movements are applied
+    await finishSyncChanges(prisma, ctx);
+
+    // Deletions go children first so parents are no longer referenced
+    for (const entity of [...entities].reverse()) {
+        const deletions = payload.deleted?.[entity.key] || [];
+        recordsCount += deletions.length;
+
+        for (const deletion of deletions) {
+            const outcome = await applyMutation(prisma, batch, entity, deletion.id, deletion.mutationId,
+                () => applySyncDeletion(prisma, entity, deletion.id, ctx));
+            results[entity.key][outcome]++;
+        }
+    }
+
+    const result = {
+        message: 'Sync completed',
+        batchId: batch.batchId,
+        results,
+        conflicts: ctx.conflicts,
+    };
+
+    await prisma.syncBatch.create({
+        data: {
+            ...batch,
+            recordsCount,
+            // Stored as plain JSON (dates as strings), as the device would receive it
+            result: JSON.parse(JSON.stringify(result)),
+        },
+    });
+
+    return { result, recordsCount };
+};
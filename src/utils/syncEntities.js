@@ -0,0 +1,825 @@
+import { Prisma } from '@prisma/client';
+import { isSettled, recordStatusChange, lockOperation } from './operationLifecycle.js';
+import { calculateSalePayments, exceedsSaleTotal, resolveSaleStatus, lockSale } from './saleHelpers.js';
+import { calculateStock, lockProductStock } from './inventoryHelpers.js';
+import {
+    roundTo,
+    calculateSettlement,
+    movementAmountError,
+    checkMovementWeights,
+} from './transactionHelpers.js';
+import { scopeData, scopeWhere } from './scope.js';
+import { hasPermission } from './permissions.js';
+
+const scopeOwned = (scope) => scopeWhere(scope);
+const personal = (scope) => ({ userId: scope.userId });
+
+/**
+ * Reject a pushed change the scope is not allowed to make
+ */
+const requirePermission = (scope, permission) => {
+    if (!hasPermission(scope, permission)) {
+        throw new Error(`Permission required: ${permission}`);
+    }
+};
+
+/**
+ * Reject changes to children of a closed operation
+ * The operation stays locked until the batch ends, so a close cannot slip in between
+ */
+const requireOpenOperation = async (prisma, operationId) => {
+    await lockOperation(prisma, operationId);
+
+    const operation = await prisma.operation.findUnique({
+        where: { id: operationId },
+        select: { status: true },
+    });
+
+    if (operation?.status === 'CLOSED') {
+        throw new Error('Operation is closed and cannot be modified');
+    }
+};
+
+/**
+ * A movement may only change inside open operations: the one it belongs to and,
+ * when the push moves it, the one it moves to
+ */
+const requireOpenMovementOperations = async (prisma, record, existing) => {
+    await requireOpenOperation(prisma, existing?.operationId ?? record.operationId);
+
+    if (existing && record.operationId !== existing.operationId) {
+        await requireOpenOperation(prisma, record.operationId);
+    }
+};
+
+/**
+ * Reason sent along a pushed status change (it is not a field of the record)
+ */
+const statusReason = (record) => (typeof record.reason === 'string' ? record.reason.trim() : '');
+
+const closesOperation = (record, existing) => existing?.status !== 'CLOSED' && record.status === 'CLOSED';
+
+/**
+ * Close an operation pushed as CLOSED, with the rules of POST /operations/:id/close:
+ * the balance must be settled unless the record sends `force` with a `reason`.
+ * Runs once the whole batch is applied, so settlement movements pushed along count.
+ */
+const closeSyncedOperation = async (prisma, operationId, record, ctx) => {
+    await lockOperation(prisma, operationId);
+
+    const operation = await prisma.operation.findUnique({
+        where: { id: operationId },
+        include: {
+            moneyMovements: true,
+            productMovements: true,
+        },
+    });
+
+    const settlement = calculateSettlement(operation, operation.moneyMovements, operation.productMovements);
+    const settled = isSettled(settlement);
+
+    if (!settled && record.force !== true) {
+        throw new Error(`Operation has a pending balance (${settlement.balance}), send force and reason to close it`);
+    }
+
+    await prisma.operation.update({
+        where: { id: operationId },
+        data: {
+            status: 'CLOSED',
+            closedAt: record.closedAt ? new Date(record.closedAt) : new Date(),
+        },
+    });
+
+    await recordStatusChange(prisma, {
+        operationId,
+        fromStatus: 'OPEN',
+        toStatus: 'CLOSED',
+        changedById: ctx.user.id,
+        reason: statusReason(record) || undefined,
+        pendingBalance: settlement.balance,
+        forced: !settled,
+    });
+};
+
+/**
+ * Product movement weights as they will be stored: changing the gross weight or the
+ * tare without sending a net weight derives the net weight again
+ */
+const pushedWeights = (record, existing) => {
+    const rederive = existing
+        && record.netWeight === existing.netWeight
+        && (record.grossWeight !== existing.grossWeight || record.tare !== existing.tare);
+
+    return checkMovementWeights({
+        ...record,
+        netWeight: rederive ? undefined : record.netWeight,
+    });
+};
+
+/**
+ * Reject a pushed sale that takes more than the stock on hand, unless the record sends
+ * `allowNegativeStock` (same rule as POST /sales)
+ */
+const requireSaleStock = async (prisma, record, existing, scope) => {
+    const changesStock = !existing
+        || record.productId !== existing.productId
+        || record.quantity > existing.quantity;
+
+    if (record.status === 'CANCELLED' || !changesStock || record.allowNegativeStock === true) {
+        return;
+    }
+
+    // Sales of the product wait for each other, so two of them cannot both take the last stock
+    await lockProductStock(prisma, record.productId);
+
+    const { stock } = await calculateStock(prisma, scope, record.productId);
+    // The stored sale already counts in the stock of its product
+    const available = existing?.productId === record.productId ? stock + existing.quantity : stock;
+
+    if (record.quantity > available) {
+        throw new Error(`Insufficient stock (${available} available)`);
+    }
+};
+
+/**
+ * Reject a pushed edit of quantity or price that leaves the sale total below what was
+ * already paid (same rule as payments, a sale is never overpaid)
+ */
+const requirePaidWithinTotal = async (prisma, record, existing) => {
+    if (!existing || record.status === 'CANCELLED'
+        || (record.quantity === existing.quantity && record.pricePerUnit === existing.pricePerUnit)) {
+        return;
+    }
+
+    // Payments of the sale wait for the edit, so none lands on the old total
+    await lockSale(prisma, existing.id);
+
+    const payments = await prisma.salePayment.findMany({ where: { saleId: existing.id } });
+    const { paidAmount } = calculateSalePayments(existing, payments);
+
+    if (exceedsSaleTotal({ totalAmount: roundTo(record.quantity * record.pricePerUnit) }, paidAmount, 0)) {
+        throw new Error(`Sale total cannot go below the amount already paid (${roundTo(paidAmount)})`);
+    }
+};
+
+/**
+ * Recompute a sale status from its payments (cancelled sales stay cancelled)
+ */
+const refreshSaleStatus = async (prisma, saleId) => {
+    const sale = await prisma.sale.findUnique({
+        where: { id: saleId },
+        include: { payments: true },
+    });
+
+    if (!sale || sale.status === 'CANCELLED') {
+        return;
+    }
+
+    const { paidAmount } = calculateSalePayments(sale, sale.payments);
+    const status = resolveSaleStatus(sale.totalAmount, paidAmount);
+
+    if (status !== sale.status) {
+        await prisma.sale.update({
+            where: { id: saleId },
+            data: { status },
+        });
+    }
+};
+
+/**
+ * Synced entities, in the order they must be applied (parents before children)
+ *
+ * - key: name of the array in push/pull payloads
+ * - model: Prisma model delegate
+ * - fields: fields accepted from the client
+ * - dateFields: fields converted to Date
+ * - references: foreign keys that must point to records of the same scope
+ * - owner: where clause restricting records to the scope (personal or organization)
+ * - hasUserId: whether the record stores userId itself (children are owned through their parent)
+ * - personal: only synced in the personal workspace (no organizationId column)
+ * - immutable: records are never updated once created
+ * - label: name used in error messages
+ * - permission: required to create or change records (personal-only entities need none)
+ * - priceFields: fields that also require price.edit to change on an existing record
+ * - deletable: records can be deleted (REST and sync), leaving a tombstone
+ * - deleteGuard: returns { error, details } when a record is still in use and cannot be deleted
+ * - validate / transform / afterWrite: entity specific rules; afterWrite may add work to
+ *   ctx.deferred, run by finishSyncChanges once every record is applied
+ */
+export const SYNC_ENTITIES = [
+    {
+        key: 'products',
+        model: 'product',
+        label: 'Product',
+        permission: 'catalog.manage',
+        fields: ['name', 'unit', 'description'],
+        owner: scopeOwned,
+        validate: async (prisma, record, existing, ctx) => {
+            if (!record.name) {
+                return;
+            }
+
+            // Also enforced by a unique index, checked here for a readable rejection
+            const sameName = await prisma.product.findFirst({
+                where: {
+                    ...scopeWhere(ctx.scope),
+                    name: { equals: record.name, mode: 'insensitive' },
+                    id: { not: record.id },
+                },
+                select: { id: true },
+            });
+
+            if (sameName) {
+                throw new Error('Product name already exists');
+            }
+        },
+        deletable: true,
+        deleteGuard: async (prisma, product) => {
+            // Operations and sales restrict product deletion
+            const [operations, sales] = await Promise.all([
+                prisma.operation.count({ where: { productId: product.id } }),
+                prisma.sale.count({ where: { productId: product.id } }),
+            ]);
+
+            if (operations > 0 || sales > 0) {
+                return { error: 'Cannot delete product used by operations or sales', details: { operations, sales } };
+            }
+        },
+    },
+    {
+        key: 'providers',
+        model: 'provider',
+        label: 'Provider',
+        permission: 'catalog.manage',
+        fields: ['name', 'phone', 'address', 'notes'],
+        owner: scopeOwned,
+        deletable: true,
+        deleteGuard: async (prisma, provider) => {
+            const operations = await prisma.operation.count({ where: { providerId: provider.id } });
+
+            if (operations > 0) {
+                return { error: 'Cannot delete provider with operations', details: { operations } };
+            }
+        },
+    },
+    {
+        key: 'clients',
+        model: 'client',
+        label: 'Client',
+        permission: 'catalog.manage',
+        fields: ['name', 'phone', 'address', 'notes'],
+        owner: scopeOwned,
+        deletable: true,
+        deleteGuard: async (prisma, client) => {
+            const sales = await prisma.sale.count({ where: { clientId: client.id } });
+
+            if (sales > 0) {
+                return { error: 'Cannot delete client with sales', details: { sales } };
+            }
+        },
+    },
+    {
+        key: 'operations',
+        model: 'operation',
+        label: 'Operation',
+        permission: 'operation.manage',
+        priceFields: ['pricePerUnit'],
+        fields: ['operationNumber', 'status', 'productId', 'pricePerUnit', 'agreedQuantity', 'providerId', 'operationDate', 'closedAt'],
+        dateFields: ['operationDate', 'closedAt'],
+        references: { productId: 'products', providerId: 'providers' },
+        owner: scopeOwned,
+        // Status changes follow the close and reopen routes; `reason` and `force` travel with the record
+        validate: async (prisma, record, existing, ctx) => {
+            if (existing?.status === 'CLOSED' && record.status !== 'OPEN') {
+                throw new Error('Operation is closed and cannot be modified');
+            }
+            if (existing?.status === 'CLOSED' && record.status === 'OPEN') {
+                requirePermission(ctx.scope, 'operation.reopen');
+                if (!statusReason(record)) {
+                    throw new Error('Reason required to reopen an operation');
+                }
+            }
+            if (closesOperation(record, existing)) {
+                requirePermission(ctx.scope, 'operation.close');
+                if (record.force === true && !statusReason(record)) {
+                    throw new Error('Reason required when forcing the close');
+                }
+            }
+        },
+        transform: (data, record, existing) => {
+            if (!closesOperation(record, existing)) {
+                return data;
+            }
+
+            // Stays open until the batch is applied, see closeSyncedOperation
+            const { status, closedAt, ...rest } = data;
+            return rest;
+        },
+        afterWrite: async (prisma, saved, existing, ctx, record) => {
+            if (closesOperation(record, existing)) {
+                ctx.deferred.push({
+                    entity: 'operations',
+                    record,
+                    apply: (tx) => closeSyncedOperation(tx, saved.id, record, ctx),
+                });
+            }
+
+            const fromStatus = existing?.status ?? null;
+
+            if (fromStatus !== saved.status) {
+                await recordStatusChange(prisma, {
+                    operationId: saved.id,
+                    fromStatus,
+                    toStatus: saved.status,
+                    changedById: ctx.user.id,
+                    reason: fromStatus ? statusReason(record) || undefined : undefined,
+                });
+            }
+        },
+    },
+    {
+        key: 'moneyMovements',
+        model: 'moneyMovement',
+        label: 'Money movement',
+        permission: 'movement.record',
+        fields: ['amount', 'movementType', 'paymentMethod', 'description', 'movementDate', 'operationId'],
+        dateFields: ['movementDate'],
+        references: { operationId: 'operations' },
+        owner: (scope) => ({ operation: scopeWhere(scope) }),
+        hasUserId: false,
+        validate: async (prisma, record, existing) => {
+            const amountError = movementAmountError(record.movementType, record.amount);
+            if (amountError) {
+                throw new Error(`Amount: ${amountError}`);
+            }
+
+            await requireOpenMovementOperations(prisma, record, existing);
+        },
+    },
+    {
+        key: 'productMovements',
+        model: 'productMovement',
+        label: 'Product movement',
+        permission: 'movement.record',
+        fields: ['netWeight', 'grossWeight', 'tare', 'movementType', 'description', 'movementDate', 'operationId'],
+        dateFields: ['movementDate'],
+        references: { operationId: 'operations' },
+        owner: (scope) => ({ operation: scopeWhere(scope) }),
+        hasUserId: false,
+        validate: async (prisma, record, existing) => {
+            const weights = pushedWeights(record, existing);
+            if (weights.error) {
+                throw new Error(weights.error);
+            }
+
+            await requireOpenMovementOperations(prisma, record, existing);
+        },
+        // Net weight = gross - tare when only the gross weight is sent
+        transform: (data, record, existing) => ({
+            ...data,
+            netWeight: pushedWeights(record, existing).netWeight,
+        }),
+    },
+    {
+        key: 'sales',
+        model: 'sale',
+        label: 'Sale',
+        permission: 'sale.manage',
+        priceFields: ['pricePerUnit'],
+        fields: ['saleNumber', 'status', 'productId', 'quantity', 'pricePerUnit', 'clientId', 'saleDate', 'cancelledAt'],
+        dateFields: ['saleDate', 'cancelledAt'],
+        references: { productId: 'products', clientId: 'clients' },
+        owner: scopeOwned,
+        validate: async (prisma, record, existing, ctx) => {
+            if (existing?.status === 'CANCELLED') {
+                throw new Error('Cancelled sales cannot be modified');
+            }
+            if (existing && record.status === 'CANCELLED' && existing.status !== 'CANCELLED') {
+                await lockSale(prisma, existing.id);
+                const payments = await prisma.salePayment.count({ where: { saleId: existing.id } });
+                if (payments > 0) {
+                    throw new Error('Cannot cancel a sale with payments');
+                }
+            }
+
+            await requireSaleStock(prisma, record, existing, ctx.scope);
+            await requirePaidWithinTotal(prisma, record, existing);
+        },
+        transform: (data, record, existing) => {
+            const quantity = data.quantity ?? existing?.quantity;
+            const pricePerUnit = data.pricePerUnit ?? existing?.pricePerUnit;
+
+            return {
+                ...data,
+                // Status is derived from payments, the client can only cancel
+                status: record.status === 'CANCELLED' ? 'CANCELLED' : (existing?.status ?? 'PENDING'),
+                totalAmount: roundTo(quantity * pricePerUnit),
+            };
+        },
+        afterWrite: (prisma, saved) => refreshSaleStatus(prisma, saved.id),
+    },
+    {
+        key: 'salePayments',
+        model: 'salePayment',
+        label: 'Sale payment',
+        permission: 'sale.manage',
+        fields: ['amount', 'paymentMethod', 'description', 'paymentDate', 'saleId'],
+        dateFields: ['paymentDate'],
+        references: { saleId: 'sales' },
+        owner: (scope) => ({ sale: scopeWhere(scope) }),
+        hasUserId: false,
+        immutable: true,
+        validate: async (prisma, record) => {
+            // Pushes and REST payments of the same sale are checked one after another
+            await lockSale(prisma, record.saleId);
+
+            const sale = await prisma.sale.findUnique({
+                where: { id: record.saleId },
+                include: { payments: true },
+            });
+
+            if (sale.status === 'CANCELLED') {
+                throw new Error('Cancelled sales cannot receive payments');
+            }
+
+            const { paidAmount } = calculateSalePayments(sale, sale.payments);
+            if (exceedsSaleTotal(sale, paidAmount, record.amount)) {
+                throw new Error('Payment exceeds pending amount');
+            }
+        },
+        afterWrite: (prisma, saved) => refreshSaleStatus(prisma, saved.saleId),
+    },
+    {
+        key: 'expenses',
+        model: 'expense',
+        label: 'Expense',
+        permission: 'expense.manage',
+        fields: ['amount', 'expenseType', 'scope', 'description', 'expenseDate', 'operationId'],
+        dateFields: ['expenseDate'],
+        references: { operationId: 'operations' },
+        owner: scopeOwned,
+        deletable: true,
+    },
+    {
+        key: 'incomes',
+        model: 'income',
+        label: 'Income',
+        fields: ['amount', 'scope', 'description', 'incomeDate'],
+        dateFields: ['incomeDate'],
+        owner: personal,
+        personal: true,
+        deletable: true,
+    },
+];
+
+export const findSyncEntity = (key) => SYNC_ENTITIES.find((entity) => entity.key === key);
+
+/**
+ * Entities synced in a scope (personal-only entities are left out of organizations)
+ */
+export const syncEntitiesFor = (scope) => SYNC_ENTITIES.filter((entity) => !entity.personal || !scope.organizationId);
+
+const findTombstone = (prisma, entity, id) => prisma.tombstone.findUnique({
+    where: {
+        entityType_entityId: { entityType: entity.key, entityId: id },
+    },
+});
+
+/**
+ * Keep only the fields the client may send, converting dates
+ */
+const pickFields = (entity, record) => {
+    const data = {};
+
+    entity.fields.forEach((field) => {
+        if (record[field] === undefined) {
+            return;
+        }
+
+        const isDate = entity.dateFields?.includes(field);
+        data[field] = isDate && record[field] !== null ? new Date(record[field]) : record[field];
+    });
+
+    return data;
+};
+
+/**
+ * Make sure every foreign key points to a record of the scope
+ */
+const verifyReferences = async (prisma, entity, record, scope) => {
+    for (const [field, key] of Object.entries(entity.references || {})) {
+        if (!record[field]) {
+            continue;
+        }
+
+        const parent = findSyncEntity(key);
+        const found = await prisma[parent.model].findFirst({
+            where: { id: record[field], ...parent.owner(scope) },
+            select: { id: true },
+        });
+
+        if (!found) {
+            throw new Error(`Referenced ${parent.model} ${record[field]} not found`);
+        }
+    }
+};
+
+const sameValue = (a, b) => {
+    if (a instanceof Date || b instanceof Date) {
+        return a !== null && b !== null && new Date(a).getTime() === new Date(b).getTime();
+    }
+    return a === b;
+};
+
+/**
+ * Convert a field value for a Json column (dates as ISO strings)
+ */
+export const toJsonValue = (value) => {
+    if (value === null || value === undefined) {
+        return Prisma.DbNull;
+    }
+    return value instanceof Date ? value.toISOString() : value;
+};
+
+/**
+ * Store a field changed on both sides, refreshing the open conflict of that field if any
+ */
+const recordConflict = async (prisma, entity, existing, field, clientValue, baseVersion, scope) => {
+    const data = {
+        baseVersion,
+        serverVersion: existing.version,
+        serverValue: toJsonValue(existing[field]),
+        clientValue: toJsonValue(clientValue),
+    };
+
+    const open = await prisma.syncConflict.findFirst({
+        where: {
+            entityType: entity.key,
+            entityId: existing.id,
+            field,
+            status: 'OPEN',
+        },
+    });
+
+    return open
+        ? prisma.syncConflict.update({ where: { id: open.id }, data })
+        : prisma.syncConflict.create({
+            data: {
+                ...data,
+                entityType: entity.key,
+                entityId: existing.id,
+                field,
+                userId: scope.userId,
+                organizationId: scope.organizationId,
+            },
+        });
+};
+
+/**
+ * Split the fields sent by the device into the ones to apply and the ones
+ * the server also changed after baseVersion (conflicts)
+ */
+const mergeFields = (existing, data, baseVersion) => {
+    const merged = {};
+    const conflicts = [];
+
+    Object.entries(data).forEach(([field, value]) => {
+        if (sameValue(existing[field], value)) {
+            return;
+        }
+
+        const fieldVersion = existing.fieldVersions?.[field] ?? 1;
+        if (baseVersion !== undefined && fieldVersion > baseVersion) {
+            conflicts.push(field);
+        } else {
+            merged[field] = value;
+        }
+    });
+
+    return { merged, conflicts };
+};
+
+/**
+ * Apply one pushed record
+ *
+ * Records carrying `version` (the version the device edited from) are merged field by field:
+ * the fields sent (or listed in `changedFields`) are applied unless the server changed them after
+ * that version, in which case a SyncConflict is stored and the server value is kept.
+ * Records without `version` fall back to whole-record last-write-wins on updatedAt.
+ *
+ * Returns 'created', 'updated' or 'skipped'; throws when the record is rejected.
+ * Stored conflicts are appended to ctx.conflicts
+ */
+export const applySyncRecord = async (prisma, entity, record, ctx) => {
+    if (!record?.id) {
+        throw new Error('Record id required');
+    }
+
+    const delegate = prisma[entity.model];
+    const existing = await delegate.findFirst({
+        where: { id: record.id, ...entity.owner(ctx.scope) },
+    });
+
+    if (!existing) {
+        const taken = await delegate.findUnique({ where: { id: record.id }, select: { id: true } });
+        if (taken) {
+            throw new Error('Record not found or access denied');
+        }
+
+        // A record deleted on the server is not recreated by a stale device
+        if (await findTombstone(prisma, entity, record.id)) {
+            throw new Error('Record was deleted on the server');
+        }
+    }
+
+    const versioned = record.version !== undefined && record.version !== null;
+
+    if (existing && entity.immutable) {
+        return 'skipped';
+    }
+
+    if (existing && !versioned && !(new Date(record.updatedAt) > existing.updatedAt)) {
+        return 'skipped';
+    }
+
+    if (existing && versioned && !(Number.isInteger(record.version) && record.version >= 1 && record.version <= existing.version)) {
+        throw new Error('Invalid record version');
+    }
+
+    let data = pickFields(entity, record);
+
+    if (existing) {
+        if (Array.isArray(record.changedFields)) {
+            data = Object.fromEntries(Object.entries(data).filter(([field]) => record.changedFields.includes(field)));
+        }
+
+        const { merged, conflicts } = mergeFields(existing, data, versioned ? record.version : undefined);
+
+        for (const field of conflicts) {
+            const conflict = await recordConflict(prisma, entity, existing, field, data[field], record.version, ctx.scope);
+            ctx.conflicts?.push(conflict);
+        }
+
+        if (Object.keys(merged).length === 0) {
+            return 'skipped';
+        }
+        data = merged;
+
+        if (entity.priceFields?.some((field) => field in data)) {
+            requirePermission(ctx.scope, 'price.edit');
+        }
+    }
+
+    // Checked once the record is known to change, so unchanged records pushed again are not rejected
+    if (entity.permission) {
+        requirePermission(ctx.scope, entity.permission);
+    }
+
+    // Rules see the record as it will be once the merge is applied,
+    // along with the options sent with it (reason, force, allowNegativeStock)
+    const effective = existing ? { ...record, ...existing, ...data } : record;
+
+    await verifyReferences(prisma, entity, data, ctx.scope);
+    await entity.validate?.(prisma, effective, existing, ctx);
+
+    if (entity.transform) {
+        data = entity.transform(data, effective, existing);
+    }
+
+    const timestamps = {
+        ...(!entity.immutable && !versioned && record.updatedAt && { updatedAt: new Date(record.updatedAt) }),
+    };
+
+    const saved = existing
+        ? await delegate.update({
+            where: { id: record.id },
+            data: { ...data, ...timestamps },
+        })
+        : await delegate.create({
+            data: {
+                id: record.id,
+                ...data,
+                ...(entity.hasUserId !== false && (entity.personal ? { userId: ctx.user.id } : scopeData(ctx.scope))),
+                ...(record.createdAt && { createdAt: new Date(record.createdAt) }),
+                ...timestamps,
+            },
+        });
+
+    await entity.afterWrite?.(prisma, saved, existing, ctx, effective);
+
+    return existing ? 'updated' : 'created';
+};
+
+/**
+ * Run the work applySyncRecord deferred to the end of the push (closing operations)
+ * A rejected change throws with `mutation` describing the record that asked for it
+ */
+export const finishSyncChanges = async (prisma, ctx) => {
+    for (const { entity, record, apply } of ctx.deferred.splice(0)) {
+        try {
+            await apply(prisma);
+        } catch (error) {
+            const failure = new Error(error.message);
+            failure.mutation = { mutationId: record.mutationId, entityType: entity, id: record.id };
+            throw failure;
+        }
+    }
+};
+
+/**
+ * Find the records of an entity changed after a change sequence, oldest first
+ */
+export const findChangesAfter = (prisma, entity, scope, afterSeq, take) => prisma[entity.model].findMany({
+    where: {
+        ...entity.owner(scope),
+        syncSeq: { gt: afterSeq },
+    },
+    orderBy: { syncSeq: 'asc' },
+    take,
+});
+
+/**
+ * Delete a record of the scope, leaving a tombstone so other devices drop it on pull
+ * Shared by the REST delete routes and sync push, meant to run inside a transaction.
+ * Requires record.delete. Returns { status, error, details } when refused
+ */
+export const deleteSyncRecord = async (prisma, entity, id, scope) => {
+    if (!entity.deletable) {
+        return { status: 400, error: `${entity.label} cannot be deleted` };
+    }
+
+    if (!hasPermission(scope, 'record.delete')) {
+        return { status: 403, error: 'Permission required: record.delete' };
+    }
+
+    const existing = await prisma[entity.model].findFirst({
+        where: { id, ...entity.owner(scope) },
+    });
+
+    if (!existing) {
+        return { status: 404, error: `${entity.label} not found or access denied` };
+    }
+
+    const blocked = await entity.deleteGuard?.(prisma, existing);
+    if (blocked) {
+        return { status: 400, ...blocked };
+    }
+
+    await prisma[entity.model].delete({ where: { id } });
+    await prisma.tombstone.upsert({
+        where: {
+            entityType_entityId: { entityType: entity.key, entityId: id },
+        },
+        create: {
+            entityType: entity.key,
+            entityId: id,
+            userId: existing.userId,
+            organizationId: existing.organizationId ?? null,
+        },
+        update: {
+            deletedAt: new Date(),
+        },
+    });
+
+    return { status: 200 };
+};
+
+/**
+ * Apply one deletion pushed by a device
+ * Returns 'deleted', or 'skipped' when it was already deleted; throws when the deletion is rejected
+ */
+export const applySyncDeletion = async (prisma, entity, id, ctx) => {
+    if (typeof id !== 'string' || !id) {
+        throw new Error('Record id required');
+    }
+
+    const result = await deleteSyncRecord(prisma, entity, id, ctx.scope);
+
+    if (result.status === 404) {
+        const tombstone = await findTombstone(prisma, entity, id);
+        const sameScope = ctx.scope.organizationId
+            ? tombstone?.organizationId === ctx.scope.organizationId
+            : tombstone?.userId === ctx.user.id && !tombstone.organizationId;
+        if (sameScope) {
+            return 'skipped';
+        }
+    }
+
+    if (result.error) {
+        throw new Error(result.error);
+    }
+
+    return 'deleted';
+};
+
+/**
+ * Find the tombstones left after a change sequence, oldest first
+ */
+export const findDeletionsAfter = (prisma, scope, afterSeq, take) => prisma.tombstone.findMany({
+    where: {
+        ...scopeWhere(scope),
+        syncSeq: { gt: afterSeq },
+    },
+    orderBy: { syncSeq: 'asc' },
+    take,
+});
@@ -0,0 +1,75 @@
+import { findChangesAfter, findDeletionsAfter, syncEntitiesFor } from './syncEntities.js';
+
+export const DEFAULT_PULL_LIMIT = 500;
+export const MAX_PULL_LIMIT = 2000;
+
+/**
+ * Cursors are opaque to the device: the last change sequence it received
+ */
+export const encodeSyncCursor = (seq) => Buffer.from(JSON.stringify({ seq })).toString('base64url');
+
+/**
+ * Returns the change sequence of a cursor, 0 for a first sync, or null when it is invalid
+ */
+export const decodeSyncCursor = (cursor) => {
+    if (!cursor) {
+        return 0;
+    }
+
+    try {
+        const { seq } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        return Number.isInteger(seq) && seq >= 0 ? seq : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Collect the next page of changes of a scope after a change sequence, across every entity
+ *
+ * Each entity returns at most limit + 1 rows; merging them by sequence and keeping the first
+ * `limit` gives a page that never splits the feed out of order. Run inside a repeatable read
+ * transaction so every query sees the same snapshot.
+ */
+export const pullChanges = async (prisma, scope, afterSeq, limit) => {
+    const entities = syncEntitiesFor(scope);
+    const [changes, tombstones] = await Promise.all([
+        Promise.all(entities.map((entity) => findChangesAfter(prisma, entity, scope, afterSeq, limit + 1))),
+        findDeletionsAfter(prisma, scope, afterSeq, limit + 1),
+    ]);
+
+    const feed = [
+        ...entities.flatMap((entity, index) => changes[index].map((record) => ({
+            seq: record.syncSeq,
+            key: entity.key,
+            record,
+        }))),
+        ...tombstones.map((tombstone) => ({
+            seq: tombstone.syncSeq,
+            key: tombstone.entityType,
+            deletedId: tombstone.entityId,
+        })),
+    ].sort((a, b) => a.seq - b.seq);
+
+    const page = feed.slice(0, limit);
+    const data = Object.fromEntries(entities.map((entity) => [entity.key, []]));
+    const deleted = Object.fromEntries(
+        entities.filter((entity) => entity.deletable).map((entity) => [entity.key, []])
+    );
+
+    page.forEach((change) => {
+        if (change.deletedId) {
+            deleted[change.key]?.push(change.deletedId);
+        } else {
+            data[change.key].push(change.record);
+        }
+    });
+
+    return {
+        data,
+        deleted,
+        recordsCount: page.length,
+        lastSeq: page.length > 0 ? page[page.length - 1].seq : afterSeq,
+        hasMore: feed.length > limit,
+    };
+};
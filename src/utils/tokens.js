@@ -0,0 +1,8 @@
+import crypto from 'crypto';
+
+/**
+ * Random token sent to the user (emails, links); only its hash is stored
+ */
+export const generateToken = () => crypto.randomBytes(32).toString('hex');
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
@@ -1,45 +1,189 @@
 import { v4 as uuidv4 } from 'uuid';
 
 /**
- * Generate unique contract number
- * Format: YYYYMMDD-XXXX (where XXXX is first 4 chars of UUID)
- * Example: 20250127-A3F9
+ * Generate unique document number
+ * Format: [PREFIX-]YYYYMMDD-XXXX (where XXXX is first 4 chars of UUID)
+ * Example: 20250127-A3F9, V-20250127-A3F9
  */
-export const generateContractNumber = () => {
+export const generateDocumentNumber = (prefix) => {
     const date = new Date();
     const year = date.getFullYear();
     const month = String(date.getMonth() + 1).padStart(2, '0');
     const day = String(date.getDate()).padStart(2, '0');
 
     const uuid = uuidv4().split('-')[0].toUpperCase().substring(0, 4);
+    const number = `${year}${month}${day}-${uuid}`;
 
-    return `${year}${month}${day}-${uuid}`;
+    return prefix ? `${prefix}-${number}` : number;
 };
 
 /**
- * Calculate financial balances for a transaction
+ * Generate unique contract number for an operation
+ * Format: YYYYMMDD-XXXX
  */
-export const calculateBalances = (transaction, advances, deliveries) => {
-    const totalAdvances = advances.reduce((sum, adv) => sum + adv.amount, 0);
-    const totalDelivered = deliveries.reduce((sum, del) => sum + del.quantity, 0);
+export const generateContractNumber = () => generateDocumentNumber();
 
-    const moneyBalance = (transaction.totalAmount || 0) - totalAdvances;
-    const productBalance = (transaction.quantity || 0) - totalDelivered;
+/**
+ * Round a number to a fixed amount of decimals
+ */
+export const roundTo = (value, decimals = 2) => {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+};
+
+const sumByType = (movements, movementType, field) => movements
+    .filter((movement) => movement.movementType === movementType)
+    .reduce((sum, movement) => sum + movement[field], 0);
+
+/**
+ * Calculate the settlement of an operation
+ *
+ * Product side: net received = deliveries + adjustments - losses, valued at pricePerUnit.
+ * Money side: amount due = product value + adjustments - discounts; advances and payments
+ * are what we already paid. A positive balance is what we owe the provider, a negative
+ * one is what the provider owes us. Quantities are compared against agreedQuantity.
+ * Business expenses linked to the operation (freight, transport...) do not change the
+ * balance with the provider, but they are part of the landed cost per unit.
+ */
+export const calculateSettlement = (operation, moneyMovements = [], productMovements = [], expenses = []) => {
+    // Product side
+    const deliveredQuantity = sumByType(productMovements, 'DELIVERY', 'netWeight');
+    const adjustedQuantity = sumByType(productMovements, 'ADJUSTMENT', 'netWeight');
+    const lostQuantity = sumByType(productMovements, 'LOSS', 'netWeight');
+    const netQuantity = deliveredQuantity + adjustedQuantity - lostQuantity;
+
+    const agreedQuantity = operation.agreedQuantity ?? null;
+    const quantityBalance = agreedQuantity !== null ? agreedQuantity - netQuantity : null;
+
+    // Money side
+    const productValue = netQuantity * operation.pricePerUnit;
+    const totalAdvances = sumByType(moneyMovements, 'ADVANCE', 'amount');
+    const totalPayments = sumByType(moneyMovements, 'PAYMENT', 'amount');
+    const totalAdjustments = sumByType(moneyMovements, 'ADJUSTMENT', 'amount');
+    const totalDiscounts = sumByType(moneyMovements, 'DISCOUNT', 'amount');
 
-    const moneyProgress = transaction.totalAmount > 0
-        ? (totalAdvances / transaction.totalAmount) * 100
-        : 0;
+    const amountDue = productValue + totalAdjustments - totalDiscounts;
+    const totalPaid = totalAdvances + totalPayments;
+    const balance = roundTo(amountDue - totalPaid);
 
-    const productProgress = transaction.quantity > 0
-        ? (totalDelivered / transaction.quantity) * 100
-        : 0;
+    // Costs
+    const businessExpenses = expenses.filter((expense) => expense.scope !== 'PERSONAL');
+    const totalExpenses = businessExpenses.reduce((sum, expense) => sum + expense.amount, 0);
+    const freightExpenses = businessExpenses
+        .filter((expense) => expense.expenseType === 'FREIGHT')
+        .reduce((sum, expense) => sum + expense.amount, 0);
+    const totalCost = amountDue + totalExpenses;
+
+    let balanceStatus = 'SETTLED';
+    if (balance > 0) balanceStatus = 'WE_OWE_PROVIDER';
+    if (balance < 0) balanceStatus = 'PROVIDER_OWES_US';
 
     return {
-        totalAdvances,
-        totalDelivered,
-        moneyBalance,
-        productBalance,
-        moneyProgress: Math.round(moneyProgress * 100) / 100,
-        productProgress: Math.round(productProgress * 100) / 100,
+        // Quantities (kg / product unit)
+        deliveredQuantity: roundTo(deliveredQuantity, 3),
+        adjustedQuantity: roundTo(adjustedQuantity, 3),
+        lostQuantity: roundTo(lostQuantity, 3),
+        netQuantity: roundTo(netQuantity, 3),
+        agreedQuantity,
+        pendingQuantity: quantityBalance !== null ? roundTo(Math.max(quantityBalance, 0), 3) : null,
+        excessQuantity: quantityBalance !== null ? roundTo(Math.max(-quantityBalance, 0), 3) : null,
+        quantityProgress: agreedQuantity > 0
+            ? roundTo((netQuantity / agreedQuantity) * 100)
+            : 0,
+
+        // Money
+        pricePerUnit: operation.pricePerUnit,
+        productValue: roundTo(productValue),
+        totalAdvances: roundTo(totalAdvances),
+        totalPayments: roundTo(totalPayments),
+        totalAdjustments: roundTo(totalAdjustments),
+        totalDiscounts: roundTo(totalDiscounts),
+        amountDue: roundTo(amountDue),
+        totalPaid: roundTo(totalPaid),
+        balance,
+        owedToProvider: Math.max(balance, 0),
+        owedByProvider: Math.max(-balance, 0),
+        balanceStatus,
+
+        // Costs
+        totalExpenses: roundTo(totalExpenses),
+        freightExpenses: roundTo(freightExpenses),
+        totalCost: roundTo(totalCost),
+        costPerUnit: netQuantity > 0 ? roundTo(totalCost / netQuantity, 4) : null,
     };
 };
+
+/**
+ * Resolve the net weight of a product movement
+ * Net weight wins when provided; otherwise it is derived as gross - tare
+ * Returns null when there is not enough data to compute it
+ */
+export const resolveNetWeight = ({ netWeight, grossWeight, tare }) => {
+    if (netWeight !== undefined && netWeight !== null) {
+        return Number(netWeight);
+    }
+
+    if (grossWeight === undefined || grossWeight === null) {
+        return null;
+    }
+
+    return roundTo(Number(grossWeight) - Number(tare || 0), 3);
+};
+
+/**
+ * Adjustments may be negative (corrections); every other movement must be positive
+ * Returns the error message, or null when the value is valid
+ */
+export const movementAmountError = (movementType, value) => {
+    const number = Number(value);
+
+    if (value === null || value === undefined || !Number.isFinite(number)) {
+        return 'Value must be a number';
+    }
+
+    if (movementType === 'ADJUSTMENT') {
+        return number === 0 ? 'Adjustment cannot be zero' : null;
+    }
+
+    return number <= 0 ? 'Value must be greater than 0' : null;
+};
+
+/**
+ * Check the weights of a product movement (REST and sync)
+ * The net weight is required or derived from gross - tare; when the gross weight is given
+ * the tare must be lower and a net weight sent along must match gross - tare.
+ * Returns { netWeight } or { error } (with expectedNetWeight on a mismatch)
+ */
+export const checkMovementWeights = ({ movementType, netWeight, grossWeight, tare }) => {
+    const resolvedNetWeight = resolveNetWeight({ netWeight, grossWeight, tare });
+
+    if (resolvedNetWeight === null) {
+        return { error: 'Net weight or gross weight required' };
+    }
+
+    if (grossWeight !== undefined && grossWeight !== null) {
+        if (Number(grossWeight) < 0 || Number(tare || 0) < 0) {
+            return { error: 'Gross weight and tare cannot be negative' };
+        }
+
+        const derived = resolveNetWeight({ grossWeight, tare });
+
+        if (derived <= 0) {
+            return { error: 'Tare must be lower than gross weight' };
+        }
+
+        if (netWeight !== undefined && netWeight !== null && Math.abs(derived - resolvedNetWeight) > 0.01) {
+            return {
+                error: 'Net weight does not match gross weight minus tare',
+                expectedNetWeight: derived,
+            };
+        }
+    }
+
+    const signError = movementAmountError(movementType, resolvedNetWeight);
+    if (signError) {
+        return { error: `Net weight: ${signError}` };
+    }
+
+    return { netWeight: resolvedNetWeight };
+};